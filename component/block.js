@@ -1,29 +1,396 @@
 'use strict';
+
+// Automatic query status polling starts quickly and backs off for long running queries
+const INITIAL_POLL_INTERVAL_MS = 2000;
+const MAX_POLL_INTERVAL_MS = 30000;
+const POLL_BACKOFF_FACTOR = 1.5;
+
+// The table view fits more results on a page than the card view
+const CARD_PAGE_SIZE = 5;
+const TABLE_PAGE_SIZE = 20;
+
 polarity.export = PolarityComponent.extend({
   details: Ember.computed.alias('block.data.details'),
   errorMessage: '',
+  refreshing: false,
+  loadingMore: false,
+  stoppingQuery: false,
+  confirmingStopQuery: false,
+  exportingFormat: null,
+  includeAllExportResults: false,
+  exportOutputLocation: null,
+  exportMessage: '',
+  cachedMinutesAgo: Ember.computed('details.executionStats.cachedAt', function () {
+    const cachedAt = this.get('details.executionStats.cachedAt');
+    if (!cachedAt) {
+      return null;
+    }
+    return Math.max(0, Math.floor((Date.now() - new Date(cachedAt).getTime()) / 60000));
+  }),
+  // Automatic Query Status Polling Variables
+  pollTimer: null,
+  elapsedTimer: null,
+  pollInterval: INITIAL_POLL_INTERVAL_MS,
+  liveElapsedSeconds: null,
+  isQueryRunning: Ember.computed('details.complete', 'details.cancelled', 'details.queryExecutionId', function () {
+    return !!this.get('details.queryExecutionId') && !this.get('details.complete') && !this.get('details.cancelled');
+  }),
+  // Cancelling a batched query also stops it for the other entities in the batch
+  otherBatchEntityValues: Ember.computed(
+    'details.batched',
+    'details.batchEntityValues.[]',
+    'block.entity.value',
+    function () {
+      const entityValue = this.get('block.entity.value');
+      return this.get('details.batched')
+        ? (this.get('details.batchEntityValues') || []).filter((value) => value !== entityValue)
+        : [];
+    }
+  ),
+  otherBatchEntityList: Ember.computed('otherBatchEntityValues.[]', function () {
+    return this.get('otherBatchEntityValues').join(', ');
+  }),
+  scannedMegabytes: Ember.computed('details.executionStats.dataScannedBytes', function () {
+    const scannedBytes = this.get('details.executionStats.dataScannedBytes');
+    return scannedBytes ? (scannedBytes / 1024 / 1024).toFixed(2) : '0.00';
+  }),
+  init() {
+    this._super(...arguments);
+    this.set('hiddenColumns', Ember.A());
+  },
+  didInsertElement() {
+    this._super(...arguments);
+    this.startPolling();
+    this.startPanelPolling();
+  },
+  willDestroyElement() {
+    this.stopPolling();
+    this.stopPanelPolling();
+    (this.get('details.results') || []).forEach((document) => {
+      if (document.pivot) {
+        Ember.run.cancel(document.pivot.timer);
+      }
+    });
+    this._super(...arguments);
+  },
+  startPolling() {
+    if (!this.get('isQueryRunning') || this.get('pollTimer')) {
+      return;
+    }
+    this.set('pollInterval', INITIAL_POLL_INTERVAL_MS);
+    this.resetElapsedTime();
+    this.schedulePoll();
+  },
+  stopPolling() {
+    Ember.run.cancel(this.get('pollTimer'));
+    Ember.run.cancel(this.get('elapsedTimer'));
+    this.set('pollTimer', null);
+    this.set('elapsedTimer', null);
+  },
+  schedulePoll() {
+    this.set('pollTimer', Ember.run.later(this, this.pollQueryStatus, this.get('pollInterval')));
+  },
+  pollQueryStatus() {
+    this.set('pollTimer', null);
+    if (this.get('isDestroying') || this.get('isDestroyed') || !this.get('isQueryRunning')) {
+      return;
+    }
+
+    this.fetchQueryStatus().then((succeeded) => {
+      if (this.get('isDestroying') || this.get('isDestroyed')) {
+        return;
+      }
+      if (succeeded && this.get('isQueryRunning')) {
+        this.set('pollInterval', Math.min(this.get('pollInterval') * POLL_BACKOFF_FACTOR, MAX_POLL_INTERVAL_MS));
+        this.schedulePoll();
+      } else {
+        // Stop once the query finishes or a status check fails, the manual button remains as a fallback
+        this.stopPolling();
+      }
+    });
+  },
+  resetElapsedTime() {
+    // Elapsed time from the last status check is ticked forward locally between checks
+    this.set('elapsedBaseSeconds', parseFloat(this.get('details.executionStats.elapsedSeconds')) || 0);
+    this.set('elapsedBaseTime', Date.now());
+    Ember.run.cancel(this.get('elapsedTimer'));
+    this.tickElapsedTime();
+  },
+  tickElapsedTime() {
+    if (this.get('isDestroying') || this.get('isDestroyed') || !this.get('isQueryRunning')) {
+      return;
+    }
+    const elapsedSeconds = this.get('elapsedBaseSeconds') + (Date.now() - this.get('elapsedBaseTime')) / 1000;
+    this.set('liveElapsedSeconds', Math.floor(elapsedSeconds));
+    this.set('elapsedTimer', Ember.run.later(this, this.tickElapsedTime, 1000));
+  },
+  fetchQueryStatus() {
+    this.set('checkingStatus', true);
+    const payload = {
+      action: 'CHECK_QUERY_STATUS',
+      queryExecutionId: this.get('details.queryExecutionId'),
+      batched: this.get('details.batched'),
+      batchMatchValues: this.get('details.batchMatchValues'),
+      entityValue: this.get('block.entity.value')
+    };
+    return this.sendIntegrationMessage(payload)
+      .then((result) => {
+        if (result.details.complete) {
+          // Status checks do not know the lookback window the query was run with or the query panels
+          result.details.lookbackWindow = this.get('details.lookbackWindow');
+          result.details.panels = this.get('details.panels');
+          this.set('block.data', result);
+        } else {
+          this.set('details.executionStats', result.details.executionStats);
+          // The S3 output location is only known once Athena has reported the query status
+          this.set('details.links', result.details.links);
+          this.set('details.results', result.details.results);
+          this.resetElapsedTime();
+        }
+        return true;
+      })
+      .catch((err) => {
+        this.set('errorMessage', JSON.stringify(err, null, 2));
+        return false;
+      })
+      .finally(() => {
+        this.set('checkingStatus', false);
+      });
+  },
+  runRefresh(lookbackWindow) {
+    this.set('refreshing', true);
+    const payload = {
+      action: 'REFRESH_RESULTS',
+      entity: this.get('block.entity'),
+      lookbackWindow
+    };
+    this.sendIntegrationMessage(payload)
+      .then((result) => {
+        this.stopPanelPolling();
+        this.set('block.data', result);
+        // The re-run query and panels may still be running in which case their status is polled automatically
+        this.startPolling();
+        this.startPanelPolling();
+      })
+      .catch((err) => {
+        this.set('errorMessage', JSON.stringify(err, null, 2));
+      })
+      .finally(() => {
+        this.set('refreshing', false);
+      });
+  },
+  isPanelRunning(panel) {
+    return !!panel.details.queryExecutionId && !panel.details.complete && !panel.details.cancelled;
+  },
+  startPanelPolling() {
+    (this.get('details.panels') || []).forEach((panel) => {
+      if (this.isPanelRunning(panel) && !panel.pollTimer) {
+        Ember.set(panel, 'pollInterval', INITIAL_POLL_INTERVAL_MS);
+        this.schedulePanelPoll(panel);
+      }
+    });
+  },
+  stopPanelPolling() {
+    (this.get('details.panels') || []).forEach((panel) => {
+      Ember.run.cancel(panel.pollTimer);
+      Ember.set(panel, 'pollTimer', null);
+    });
+  },
+  schedulePanelPoll(panel) {
+    Ember.set(panel, 'pollTimer', Ember.run.later(this, this.pollPanelStatus, panel, panel.pollInterval));
+  },
+  pollPanelStatus(panel) {
+    Ember.set(panel, 'pollTimer', null);
+    if (this.get('isDestroying') || this.get('isDestroyed') || !this.isPanelRunning(panel)) {
+      return;
+    }
+
+    this.sendPanelMessage(panel, 'CHECK_QUERY_STATUS').then((succeeded) => {
+      if (this.get('isDestroying') || this.get('isDestroyed')) {
+        return;
+      }
+      // Each panel backs off independently and stops once it finishes or a status check fails
+      if (succeeded && this.isPanelRunning(panel)) {
+        Ember.set(panel, 'pollInterval', Math.min(panel.pollInterval * POLL_BACKOFF_FACTOR, MAX_POLL_INTERVAL_MS));
+        this.schedulePanelPoll(panel);
+      }
+    });
+  },
+  sendPanelMessage(panel, action) {
+    Ember.set(panel, 'loading', true);
+    const payload = {
+      action,
+      queryExecutionId: panel.details.queryExecutionId,
+      panelName: panel.name
+    };
+    return this.sendIntegrationMessage(payload)
+      .then((result) => {
+        Ember.set(panel, 'details', result.details);
+        return true;
+      })
+      .catch((err) => {
+        this.set('errorMessage', JSON.stringify(err, null, 2));
+        return false;
+      })
+      .finally(() => {
+        Ember.set(panel, 'loading', false);
+      });
+  },
+  fetchPivot(document, payload) {
+    const pivot = document.pivot;
+    return this.sendIntegrationMessage(payload)
+      .then((result) => {
+        // Ignore results for a pivot that was closed or replaced while it was running
+        if (document.pivot !== pivot || this.get('isDestroying') || this.get('isDestroyed')) {
+          return;
+        }
+        Ember.set(document, 'pivot.result', result);
+        if (!result.complete) {
+          Ember.set(document, 'pivot.timer', Ember.run.later(this, this.pollPivot, document, pivot.pollInterval));
+          Ember.set(
+            document,
+            'pivot.pollInterval',
+            Math.min(pivot.pollInterval * POLL_BACKOFF_FACTOR, MAX_POLL_INTERVAL_MS)
+          );
+        }
+      })
+      .catch((err) => {
+        if (document.pivot === pivot) {
+          Ember.set(document, 'pivot.errorMessage', JSON.stringify(err, null, 2));
+        }
+      });
+  },
+  pollPivot(document) {
+    if (!document.pivot || this.get('isDestroying') || this.get('isDestroyed')) {
+      return;
+    }
+    this.fetchPivot(document, {
+      action: 'RUN_PIVOT',
+      pivotName: document.pivot.name,
+      value: document.pivot.value,
+      queryExecutionId: document.pivot.result.queryExecutionId
+    });
+  },
+  downloadFile(fileName, contentType, content) {
+    const blob = new Blob([content], { type: contentType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  },
+  // Timeline Variables
+  timelineFilter: null,
+  timelineBars: Ember.computed('details.timeline.buckets.[]', 'timelineFilter', function () {
+    const buckets = this.get('details.timeline.buckets') || [];
+    const maxCount = buckets.reduce((max, bucket) => Math.max(max, bucket.count), 0);
+    const timelineFilter = this.get('timelineFilter');
+    return buckets.map((bucket) => ({
+      ...bucket,
+      selected: !!timelineFilter && timelineFilter.start === bucket.start,
+      style: Ember.String.htmlSafe(`height: ${maxCount > 0 ? Math.round((bucket.count / maxCount) * 100) : 0}%`)
+    }));
+  }),
+  timelineStartLabel: Ember.computed('details.timeline.buckets.[]', function () {
+    const buckets = this.get('details.timeline.buckets') || [];
+    return buckets.length > 0 ? buckets[0].label : '';
+  }),
+  timelineEndLabel: Ember.computed('details.timeline.buckets.[]', function () {
+    const buckets = this.get('details.timeline.buckets') || [];
+    return buckets.length > 1 ? buckets[buckets.length - 1].label : '';
+  }),
+  // Table View Variables
+  resultView: null,
+  sortColumn: null,
+  sortAscending: true,
+  showColumnChooser: false,
+  hiddenColumns: null,
+  isTableView: Ember.computed('resultView', 'details.defaultResultView', function () {
+    return (this.get('resultView') || this.get('details.defaultResultView')) === 'table';
+  }),
+  tableColumns: Ember.computed('details.columns.[]', 'hiddenColumns.[]', function () {
+    const hiddenColumns = this.get('hiddenColumns');
+    return (this.get('details.columns') || []).map((name) => ({ name, visible: !hiddenColumns.includes(name) }));
+  }),
+  visibleColumns: Ember.computed('tableColumns', function () {
+    return this.get('tableColumns')
+      .filter((column) => column.visible)
+      .map((column) => column.name);
+  }),
+  pagedTableRows: Ember.computed('pagedFilteredData', 'visibleColumns', function () {
+    const visibleColumns = this.get('visibleColumns');
+    return this.get('pagedFilteredData').map((document) => ({
+      document,
+      cells: visibleColumns.map((column) => {
+        const attribute = document.attributes.find((documentAttribute) => documentAttribute.key === column);
+        return attribute || { value: '' };
+      })
+    }));
+  }),
+  getSortValue(document, column) {
+    const attribute = document.attributes.find((documentAttribute) => documentAttribute.key === column);
+    return attribute ? attribute.sortValue : undefined;
+  },
   // Session Paging Variables
   filterValue: '',
   currentPage: 1,
-  pageSize: 5,
+  pageSize: Ember.computed('isTableView', function () {
+    return this.get('isTableView') ? TABLE_PAGE_SIZE : CARD_PAGE_SIZE;
+  }),
   pagingData: Ember.computed.alias('details.results'),
-  filteredPagingData: Ember.computed('pagingData.length', 'filterValue', function () {
-    // reset to page 1 when filter changes
-    this.set('currentPage', 1);
+  filteredPagingData: Ember.computed(
+    'pagingData.length',
+    'filterValue',
+    'timelineFilter',
+    'sortColumn',
+    'sortAscending',
+    function () {
+      // reset to page 1 when filter changes
+      this.set('currentPage', 1);
 
-    let filterValue = this.get('filterValue');
+      let filterValue = this.get('filterValue');
+      let filteredData = this.get('pagingData');
+
+      if (filterValue) {
+        filterValue = filterValue.toLowerCase().trim();
+        if (filterValue.length > 0) {
+          filteredData = filteredData.filter((entry) => {
+            return entry.resultAsString.includes(filterValue);
+          });
+        }
+      }
 
-    if (filterValue) {
-      filterValue = filterValue.toLowerCase().trim();
-      if (filterValue.length > 0) {
-        return this.get('pagingData').filter((entry) => {
-          return entry.resultAsString.includes(filterValue);
+      // Clicking a timeline bucket only shows the results within its time range
+      const timelineFilter = this.get('timelineFilter');
+      if (timelineFilter && filteredData) {
+        filteredData = filteredData.filter(
+          (entry) => entry.timestamp >= timelineFilter.start && entry.timestamp < timelineFilter.end
+        );
+      }
+
+      const sortColumn = this.get('sortColumn');
+      if (sortColumn && filteredData) {
+        const direction = this.get('sortAscending') ? 1 : -1;
+        // Numbers and dates are sorted by value, results without the column are always sorted last
+        filteredData = filteredData.slice().sort((a, b) => {
+          const aValue = this.getSortValue(a, sortColumn);
+          const bValue = this.getSortValue(b, sortColumn);
+          if (aValue === undefined || bValue === undefined) {
+            return aValue === bValue ? 0 : aValue === undefined ? 1 : -1;
+          }
+          if (typeof aValue !== typeof bValue) {
+            return (typeof aValue === 'number' ? -1 : 1) * direction;
+          }
+          return (aValue < bValue ? -1 : aValue > bValue ? 1 : 0) * direction;
         });
       }
-    }
 
-    return this.get('pagingData');
-  }),
+      return filteredData;
+    }
+  ),
   isPrevButtonsDisabled: Ember.computed('currentPage', function () {
     return this.get('currentPage') === 1;
   }),
@@ -35,7 +402,7 @@ polarity.export = PolarityComponent.extend({
   pagingStartItem: Ember.computed('currentPage', 'pageSize', function () {
     return (this.get('currentPage') - 1) * this.get('pageSize') + 1;
   }),
-  pagingEndItem: Ember.computed('pagingStartItem', function () {
+  pagingEndItem: Ember.computed('pagingStartItem', 'pageSize', function () {
     return this.get('pagingStartItem') - 1 + this.get('pageSize');
   }),
   pagedFilteredData: Ember.computed('filteredPagingData.length', 'pageSize', 'currentPage', function () {
@@ -75,23 +442,196 @@ polarity.export = PolarityComponent.extend({
     },
     // End Paging Actions
     checkQueryStatus() {
-      this.set('checkingStatus', true);
+      this.fetchQueryStatus().then((succeeded) => {
+        // Resume automatic polling if it stopped after a failed status check
+        if (succeeded) {
+          this.startPolling();
+        }
+      });
+    },
+    stopQuery() {
+      if (this.get('otherBatchEntityValues.length') > 0 && !this.get('confirmingStopQuery')) {
+        this.set('confirmingStopQuery', true);
+        return;
+      }
+      this.set('confirmingStopQuery', false);
+      this.set('stoppingQuery', true);
       const payload = {
-        action: 'CHECK_QUERY_STATUS',
-        queryExecutionId: this.get('details.queryExecutionId')
+        action: 'STOP_QUERY',
+        queryExecutionId: this.get('details.queryExecutionId'),
+        batched: this.get('details.batched'),
+        batchMatchValues: this.get('details.batchMatchValues'),
+        entityValue: this.get('block.entity.value')
       };
       this.sendIntegrationMessage(payload)
         .then((result) => {
-          if (result.details.complete) {
-            this.set('block.data', result);
+          result.details.panels = this.get('details.panels');
+          result.details.batchEntityValues = this.get('details.batchEntityValues');
+          this.set('block.data', result);
+          if (!this.get('isQueryRunning')) {
+            this.stopPolling();
           }
         })
         .catch((err) => {
           this.set('errorMessage', JSON.stringify(err, null, 2));
         })
         .finally(() => {
-          this.set('checkingStatus', false);
+          this.set('stoppingQuery', false);
         });
+    },
+    cancelStopQuery() {
+      this.set('confirmingStopQuery', false);
+    },
+    loadMoreResults() {
+      this.set('loadingMore', true);
+      // The integration builds the timeline over the loaded results and the next page so it can pick a larger bucket
+      // size when the next page spans a longer time range
+      const loadedResults = this.get('details.results');
+      const payload = {
+        action: 'LOAD_MORE_RESULTS',
+        queryExecutionId: this.get('details.queryExecutionId'),
+        nextToken: this.get('details.nextToken'),
+        batched: this.get('details.batched'),
+        batchMatchValues: this.get('details.batchMatchValues'),
+        entityValue: this.get('block.entity.value'),
+        timelineBucketSizeMs: this.get('details.timeline.bucketSizeMs'),
+        timelineTimestamps: loadedResults
+          .map((result) => result.timestamp)
+          .filter((timestamp) => typeof timestamp === 'number'),
+        timelineMissingCount: loadedResults.filter((result) => result.timestamp === null).length
+      };
+      this.sendIntegrationMessage(payload)
+        .then((result) => {
+          this.set('details.results', this.get('details.results').concat(result.details.results));
+          this.set('details.nextToken', result.details.nextToken);
+          this.set('details.truncated', result.details.truncated);
+          if (result.details.timeline) {
+            this.set('details.timeline', result.details.timeline);
+          }
+        })
+        .catch((err) => {
+          this.set('errorMessage', JSON.stringify(err, null, 2));
+        })
+        .finally(() => {
+          this.set('loadingMore', false);
+        });
+    },
+    exportResults(format) {
+      this.set('exportingFormat', format);
+      this.set('exportMessage', '');
+      const payload = {
+        action: 'EXPORT_RESULTS',
+        queryExecutionId: this.get('details.queryExecutionId'),
+        format,
+        // Only the rows matching the current filter and selected timeline bucket are exported
+        filterValue: this.get('filterValue'),
+        timelineFilter: this.get('timelineFilter'),
+        includeAllResults: this.get('includeAllExportResults'),
+        batched: this.get('details.batched'),
+        batchMatchValues: this.get('details.batchMatchValues'),
+        entityValue: this.get('block.entity.value')
+      };
+      this.sendIntegrationMessage(payload)
+        .then((result) => {
+          this.downloadFile(result.fileName, result.contentType, result.content);
+          this.set('exportOutputLocation', result.outputLocation);
+          this.set(
+            'exportMessage',
+            `Exported ${result.rowCount} ${result.rowCount === 1 ? 'row' : 'rows'}${
+              result.truncated ? ', the query returned more rows than were exported' : ''
+            }`
+          );
+        })
+        .catch((err) => {
+          this.set('errorMessage', JSON.stringify(err, null, 2));
+        })
+        .finally(() => {
+          this.set('exportingFormat', null);
+        });
+    },
+    selectTimelineBucket(bucket) {
+      // Clicking the selected bucket again clears the time range filter
+      const timelineFilter = this.get('timelineFilter');
+      if (timelineFilter && timelineFilter.start === bucket.start) {
+        this.set('timelineFilter', null);
+      } else {
+        this.set('timelineFilter', { start: bucket.start, end: bucket.end, label: bucket.label });
+      }
+    },
+    clearTimelineFilter() {
+      this.set('timelineFilter', null);
+    },
+    setResultView(view) {
+      this.set('resultView', view);
+      this.set('currentPage', 1);
+    },
+    sortByColumn(column) {
+      if (this.get('sortColumn') === column) {
+        this.toggleProperty('sortAscending');
+      } else {
+        this.set('sortColumn', column);
+        this.set('sortAscending', true);
+      }
+    },
+    toggleColumnChooser() {
+      this.toggleProperty('showColumnChooser');
+    },
+    toggleColumn(column) {
+      const hiddenColumns = this.get('hiddenColumns');
+      if (hiddenColumns.includes(column)) {
+        hiddenColumns.removeObject(column);
+      } else if (hiddenColumns.length < this.get('details.columns.length') - 1) {
+        // At least one column is always shown
+        hiddenColumns.pushObject(column);
+      }
+    },
+    togglePanel(panel) {
+      Ember.set(panel, 'collapsed', !panel.collapsed);
+    },
+    checkPanelStatus(panel) {
+      this.sendPanelMessage(panel, 'CHECK_QUERY_STATUS').then((succeeded) => {
+        // Resume automatic polling if it stopped after a failed status check
+        if (succeeded && this.isPanelRunning(panel) && !panel.pollTimer) {
+          Ember.set(panel, 'pollInterval', INITIAL_POLL_INTERVAL_MS);
+          this.schedulePanelPoll(panel);
+        }
+      });
+    },
+    stopPanelQuery(panel) {
+      Ember.run.cancel(panel.pollTimer);
+      Ember.set(panel, 'pollTimer', null);
+      this.sendPanelMessage(panel, 'STOP_QUERY');
+    },
+    runPivot(document, attribute, pivotName) {
+      if (document.pivot) {
+        Ember.run.cancel(document.pivot.timer);
+      }
+      Ember.set(document, 'pivot', {
+        name: pivotName,
+        value: attribute.pivotValue,
+        result: null,
+        errorMessage: '',
+        timer: null,
+        pollInterval: INITIAL_POLL_INTERVAL_MS
+      });
+      this.fetchPivot(document, {
+        action: 'RUN_PIVOT',
+        pivotName,
+        value: attribute.pivotValue
+      });
+    },
+    closePivot(document) {
+      if (document.pivot) {
+        Ember.run.cancel(document.pivot.timer);
+      }
+      Ember.set(document, 'pivot', null);
+    },
+    refreshResults() {
+      // Keep the lookback window the results were searched with
+      this.runRefresh(this.get('details.lookbackWindow.value'));
+    },
+    widenLookbackWindow() {
+      this.runRefresh(this.get('details.lookbackWindow.widerValue'));
     }
   }
 });
@@ -1,18 +1,25 @@
 'use strict';
 
 const async = require('async');
-const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
 const {
   AthenaClient,
   StartQueryExecutionCommand,
   GetQueryExecutionCommand,
   GetQueryResultsCommand,
   CreatePreparedStatementCommand,
-  UpdatePreparedStatementCommand,
-  GetPreparedStatementCommand
+  DeletePreparedStatementCommand,
+  GetPreparedStatementCommand,
+  StopQueryExecutionCommand
 } = require('@aws-sdk/client-athena');
+const { fromNodeProviderChain, fromTemporaryCredentials } = require('@aws-sdk/credential-providers');
+const { NodeHttpHandler } = require('@smithy/node-http-handler');
+const { HttpsProxyAgent } = require('https-proxy-agent');
 const { get } = require('lodash');
 const { DateTime } = require('luxon');
+const { getDomain } = require('tldts');
 
 // Query status constants
 const QUERY_STATUS = {
@@ -24,22 +31,170 @@ const QUERY_STATUS = {
 };
 
 // Athena query execution configuration constants
-const MAX_QUERY_STATUS_POLLING_ATTEMPTS = 10; // 10 attempts * 3 second interval = 30 seconds wait time 
-const POLLING_WAIT_INTERVAL = 3000; // 3 second intervals
+// Defaults for the polling options, the wait between status checks grows by the backoff factor after each check
+const DEFAULT_MAX_QUERY_WAIT_SECONDS = 30;
+const DEFAULT_INITIAL_POLLING_INTERVAL_MS = 250;
+const DEFAULT_POLLING_BACKOFF_FACTOR = 2;
+const MAX_POLLING_WAIT_INTERVAL = 5000; // Never wait more than 5 seconds between status checks
+
+// Number of status checks (and the wait between them) after stopping a query while waiting for it to be cancelled
+const STOP_QUERY_STATUS_ATTEMPTS = 5;
+const STOP_QUERY_WAIT_INTERVAL = 500;
+
+// Supported values of the "Authentication Method" option
+const AUTHENTICATION_METHOD = {
+  ACCESS_KEY: 'accessKey',
+  DEFAULT_CHAIN: 'defaultChain',
+  ASSUME_ROLE: 'assumeRole'
+};
+
+const DEFAULT_ROLE_SESSION_NAME = 'polarity-aws-athena';
+
+// Athena bills per terabyte scanned, rounded up to the nearest megabyte with a 10 MB minimum per query
+const BYTES_PER_MEGABYTE = 1024 * 1024;
+const BYTES_PER_GIGABYTE = 1024 * BYTES_PER_MEGABYTE;
+const BYTES_PER_TERABYTE = 1024 * BYTES_PER_GIGABYTE;
+const MINIMUM_BILLED_BYTES = 10 * BYTES_PER_MEGABYTE;
+const DEFAULT_COST_PER_TERABYTE = 5;
+
+// Athena can reuse query results that are at most 7 days old
+const DEFAULT_RESULT_REUSE_MAX_AGE_MINUTES = 60;
+const MAX_RESULT_REUSE_MAX_AGE_MINUTES = 10080;
+
+// Format of Athena timestamp literals
+const ATHENA_TIMESTAMP_FORMAT = 'yyyy-MM-dd HH:mm:ss.SSS';
+
+// Formats supported by the EXPORT_RESULTS action
+const EXPORT_FORMAT = {
+  CSV: 'csv',
+  NDJSON: 'ndjson'
+};
+const DEFAULT_MAX_EXPORT_ROWS = 10000;
+
+// Athena returns at most 1000 rows per GetQueryResults call
+const MAX_RESULTS_PER_PAGE = 1000;
+
+// Maximum number of entity values bound by a single batched query execution.  Larger lookups are split into several
+// batched queries so the execution parameters and query text stay within Athena's limits.
+const MAX_BATCH_VALUES = 50;
+
+// Number of hex characters of the query hash used in prepared statement names
+const PREPARED_STATEMENT_HASH_LENGTH = 32;
 
 let Logger;
 let originalOptions = null;
 let athenaClient = null;
-let currentPreparedStatement = null;
-let currentQuery = null;
+
+// Prepared statements used by each query key (entity type or default)
+const preparedStatements = new Map();
+// Registry of the prepared statements this integration created, keyed by statement name.  Only these statements
+// are deleted when they are no longer used.
+const createdPreparedStatements = new Map();
+// Prepared statements being re-created after Athena reported them missing, keyed by statement name
+const pendingPreparedStatements = new Map();
+// Query options the stale prepared statements were last cleaned up for
+let lastPreparedStatementQueryOptions = null;
+
+// Query key used for the fallback `query` option
+const DEFAULT_QUERY_KEY = 'default';
+
+// Aggregates that can be used in summary attributes, computed over every result of the query
+const SUMMARY_AGGREGATES = {
+  count: { acceptsColumn: false, acceptsCount: false },
+  distinct: { acceptsColumn: true, acceptsCount: false },
+  min: { acceptsColumn: true, acceptsCount: false },
+  max: { acceptsColumn: true, acceptsCount: false },
+  top: { acceptsColumn: true, acceptsCount: true }
+};
+const SUMMARY_AGGREGATE_REGEX = /^([a-z_]+)\s*\((.*)\)$/i;
+const DEFAULT_TOP_AGGREGATE_COUNT = 3;
+
+// Bucket sizes the timeline histogram can use, the smallest size that fits the results in the target number of
+// buckets is used
+const TIMELINE_BUCKET_SIZES_MS = [
+  60 * 1000,
+  5 * 60 * 1000,
+  15 * 60 * 1000,
+  30 * 60 * 1000,
+  60 * 60 * 1000,
+  3 * 60 * 60 * 1000,
+  6 * 60 * 60 * 1000,
+  12 * 60 * 60 * 1000,
+  24 * 60 * 60 * 1000,
+  7 * 24 * 60 * 60 * 1000,
+  30 * 24 * 60 * 60 * 1000
+];
+const TIMELINE_TARGET_BUCKETS = 24;
+// A timeline keeps the bucket size already shown when more results are loaded as long as it fits in this many buckets
+const TIMELINE_MAX_BUCKETS = TIMELINE_TARGET_BUCKETS * 4;
+const DATE_PARSERS = ['date-iso', 'date-http', 'date-rfc2822', 'date-sql', 'date-seconds', 'date-millis'];
+
+// Attribute types that can be chained with `|` in attribute specifications (e.g., `date-iso|timezone(UTC)`) along
+// with the number of arguments each accepts in parentheses, see `parseAttribute`
+const ATTRIBUTE_PARSERS = {
+  ...DATE_PARSERS.reduce((parsers, name) => ({ ...parsers, [name]: { minArgs: 0, maxArgs: 0 } }), {}),
+  timezone: { minArgs: 1, maxArgs: 1 },
+  number: { minArgs: 0, maxArgs: 1 },
+  bytes: { minArgs: 0, maxArgs: 1 },
+  percent: { minArgs: 0, maxArgs: 1 },
+  json: { minArgs: 0, maxArgs: 0 },
+  bool: { minArgs: 0, maxArgs: 2 },
+  truncate: { minArgs: 1, maxArgs: 1 },
+  link: { minArgs: 0, maxArgs: 1 }
+};
+const ATTRIBUTE_PARSER_REGEX = /^([a-z][a-z0-9-]*)\s*(?:\((.*)\))?$/i;
+const MAX_ATTRIBUTE_DECIMALS = 10;
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+const BOOL_TRUE_VALUES = ['true', 't', 'yes', 'y', '1'];
+const BOOL_FALSE_VALUES = ['false', 'f', 'no', 'n', '0'];
+
+// Layouts the block can show detail attribute results in
+const RESULT_VIEW = {
+  CARDS: 'cards',
+  TABLE: 'table'
+};
+
+// Pivot queries bind the pivoted value like an entity of this type and use their own query keys
+const PIVOT_ENTITY_TYPE = 'pivot';
+const PIVOT_QUERY_KEY_PREFIX = 'pivot:';
+
+// Query panels are run for every entity alongside the main query and use their own query keys
+const QUERY_PANEL_KEY_PREFIX = 'panel:';
+
+// In-process cache of completed query results keyed on the query, bound parameters, workgroup, region and the
+// "Decode Column Types" option.  Map insertion order is used to evict the least recently used entry once the cache
+// is full.
+const resultCache = new Map();
+
+// Daily usage accounting of every query the integration runs, keyed on the UTC date
+const USAGE_HISTORY_DAYS = 7;
+const usageByDay = new Map();
+// Queries already counted in today's usage so repeated status checks are not double counted.  Cleared with the daily
+// usage bucket and capped so a busy day cannot grow it without limit, Set insertion order evicts the oldest IDs first.
+const MAX_RECORDED_QUERY_EXECUTION_IDS = 10000;
+const recordedQueryExecutionIds = new Set();
+
+// Cached parsed entity type query map to avoid re-parsing the JSON option on every lookup
+let cachedEntityTypeQueries = {};
+let lastEntityTypeQueriesOption = null;
+
+// Cached parsed pivot query map
+let cachedPivotQueries = {};
+let lastPivotQueriesOption = null;
+
+// Cached parsed query panel list
+let cachedQueryPanels = [];
+let lastQueryPanelsOption = null;
 
 // Cached processed attributes to avoid recomputing on every lookup
 let cachedDocumentTitleAttributes = null;
 let cachedDetailAttributes = null;
 let cachedSummaryAttributes = null;
+let cachedTimelineAttribute = null;
 let lastDocumentTitleAttributeOption = null;
 let lastDetailAttributesOption = null;
 let lastSummaryAttributesOption = null;
+let lastTimelineAttributeOption = null;
 
 function startup(logger) {
   Logger = logger;
@@ -60,16 +215,151 @@ function escapeEntityValue(entityValue) {
   return escapedValue;
 }
 
+/**
+ * Named placeholders that can be used in queries in addition to the positional `?` placeholder.  Each named
+ * placeholder binds a value derived from the entity or the lookup.  `batchable` placeholders do not depend on
+ * the entity so they can also be used by batched (`?:list`) queries.
+ */
+const NAMED_PLACEHOLDERS = {
+  value: {
+    batchable: false,
+    getValue: (entity) => entity.value
+  },
+  value_lower: {
+    batchable: false,
+    getValue: (entity) => entity.value.toLowerCase()
+  },
+  value_upper: {
+    batchable: false,
+    getValue: (entity) => entity.value.toUpperCase()
+  },
+  type: {
+    batchable: false,
+    getValue: (entity) => getEntityTypeName(entity)
+  },
+  start_time: {
+    batchable: true,
+    getValue: (entity, context) => context.startTime
+  },
+  window_start: {
+    batchable: true,
+    defaultType: 'timestamp',
+    getValue: (entity, context) => context.windowStart
+  },
+  window_end: {
+    batchable: true,
+    defaultType: 'timestamp',
+    getValue: (entity, context) => context.windowEnd
+  }
+};
+
+// Lookback windows bound to the `:window_start` and `:window_end` placeholders, from narrowest to widest
+const LOOKBACK_WINDOWS = [
+  { value: '1h', display: 'last hour', hours: 1 },
+  { value: '24h', display: 'last 24 hours', hours: 24 },
+  { value: '7d', display: 'last 7 days', hours: 24 * 7 },
+  { value: '30d', display: 'last 30 days', hours: 24 * 30 },
+  { value: '90d', display: 'last 90 days', hours: 24 * 90 },
+  { value: '365d', display: 'last 365 days', hours: 24 * 365 }
+];
+const DEFAULT_LOOKBACK_WINDOW = '7d';
+
+/**
+ * Transforms that can be applied to a placeholder value before it is bound, e.g. `?:bigint|ip_to_int`.  Transforms
+ * are applied in order and throw an error if the value cannot be transformed, in which case the entity is skipped.
+ */
+const VALUE_TRANSFORMS = {
+  lower: {
+    apply: (value) => value.toLowerCase()
+  },
+  upper: {
+    apply: (value) => value.toUpperCase()
+  },
+  ip_to_int: {
+    apply: (value) => String(ipv4ToInt(value))
+  },
+  url_host: {
+    apply: (value) => getUrlHost(value)
+  },
+  email_domain: {
+    apply: (value) => getEmailDomain(value)
+  },
+  registered_domain: {
+    apply: (value) => getRegisteredDomain(value)
+  },
+  cidr_network: {
+    acceptsArgument: true,
+    apply: (value, prefixLength = 24) => getCidrNetwork(value, prefixLength)
+  }
+};
+
+const sortByLengthDesc = (a, b) => b.length - a.length;
+const TRANSFORMS_PATTERN = `((?:\\|(?:${Object.keys(VALUE_TRANSFORMS)
+  .sort(sortByLengthDesc)
+  .join('|')})\\b(?:\\(\\d+\\))?)*)`;
+
+// Matches `?`, `?:<type>`, `?:list:<type>`, `:<name>` and `:<name>:<type>`, each optionally followed by `|<transform>`
+// transforms.  Named placeholders must not directly follow a word character, colon or question mark so time literals
+// such as '12:30:00' and `?:<type>` hints are left alone.
+// The list type of `?:list:<type>` is only matched after `list` (case-insensitive) so other type hints are unchanged.
+const POSITIONAL_PLACEHOLDER_PATTERN = `\\?(?::(\\w+)(?:(?<=:[lL][iI][sS][tT]):(\\w+))?)?${TRANSFORMS_PATTERN}`;
+const NAMED_PLACEHOLDER_PATTERN = `(?<![\\w:?]):(${Object.keys(NAMED_PLACEHOLDERS)
+  .sort(sortByLengthDesc)
+  .join('|')})\\b(?::(\\w+))?${TRANSFORMS_PATTERN}`;
+const PLACEHOLDER_REGEX = new RegExp(`${POSITIONAL_PLACEHOLDER_PATTERN}|${NAMED_PLACEHOLDER_PATTERN}`, 'g');
+
+/**
+ * Converts a PLACEHOLDER_REGEX match into a placeholder object.  Accepts the match array or the arguments of a
+ * `String.replace()` callback.
+ * @param match
+ * @returns {{placeholder: string, name: string|null, typeHint: string|undefined, listType: string|undefined, transforms: Array}}
+ */
+function parsePlaceholderMatch([placeholder, typeHint, listType, transforms, name, namedTypeHint, namedTransforms]) {
+  return {
+    placeholder,
+    name: name || null,
+    typeHint: name ? namedTypeHint : typeHint,
+    listType: name ? undefined : listType,
+    transforms: parseTransforms((name ? namedTransforms : transforms) || '')
+  };
+}
+
+function getQueryPlaceholders(query) {
+  return [...query.matchAll(PLACEHOLDER_REGEX)].map(parsePlaceholderMatch);
+}
+
+/**
+ * Parses a `|<transform>|<transform>(<argument>)` string into an array of transforms
+ * @param transforms
+ * @returns {Array<{name: string, argument: number|undefined}>}
+ */
+function parseTransforms(transforms) {
+  return transforms
+    .split('|')
+    .filter((transform) => transform.length > 0)
+    .map((transform) => {
+      const [, name, argument] = transform.match(/^(\w+)(?:\((\d+)\))?$/);
+      return {
+        name,
+        argument: argument === undefined ? undefined : parseInt(argument, 10)
+      };
+    });
+}
+
 function parseTypeHints(query) {
-  // Parse ?:<type> syntax and extract type information
+  // Parse ?:<type> and :<name>:<type> syntax and extract type and transform information
   const typeHints = [];
   let parameterIndex = 0;
 
-  // Match both ? and ?:<type> patterns
-  const modifiedQuery = query.replace(/\?(?::(\w+))?/g, (match, typeHint) => {
+  // Every placeholder becomes a positional parameter of the prepared statement.  Positional `?` placeholders
+  // are bound to the entity value, the same as the `:value` placeholder.
+  const modifiedQuery = query.replace(PLACEHOLDER_REGEX, (...match) => {
+    const { name, typeHint, transforms } = parsePlaceholderMatch(match);
     typeHints.push({
       index: parameterIndex,
-      type: typeHint || 'string' // Default to string if no type specified
+      name: name || 'value',
+      type: getPlaceholderType(name, typeHint),
+      transforms
     });
     parameterIndex++;
     return '?'; // Replace with plain ? for the prepared statement
@@ -81,758 +371,3689 @@ function parseTypeHints(query) {
   };
 }
 
-async function ensurePreparedStatement(query, options) {
-  // Get the directory name to make the statement name unique
-  // Replace spaces with underscores to ensure valid statement name
-  const directoryName = path.basename(__dirname).replace(/\s+/g, '_');
-  const statementName = `polarity_prepared_statement_${directoryName}`;
-
-  // Parse type hints from the query (converts ?:<type> to ? and extracts type info)
-  const { query: processedQuery, typeHints } = parseTypeHints(query);
-
-  // Store type hints for parameter creation
-  options._typeHints = typeHints;
+/**
+ * Returns the type a placeholder is bound as.  Placeholders without a type hint default to their named
+ * placeholder's default type, or string.
+ * @param name
+ * @param typeHint
+ * @returns {string}
+ */
+function getPlaceholderType(name, typeHint) {
+  if (typeHint) {
+    return typeHint;
+  }
+  return (name && NAMED_PLACEHOLDERS[name].defaultType) || 'string';
+}
 
-  // Check if we need to create or update the prepared statement
-  if (currentQuery !== processedQuery || currentPreparedStatement === null) {
-    // Always check if the prepared statement exists first
-    const getCommand = new GetPreparedStatementCommand({
-      StatementName: statementName,
-      WorkGroup: options.workGroup || 'primary'
-    });
+/**
+ * Returns true if the query has positional or named placeholders and must be run as a prepared statement
+ * @param query
+ * @returns {boolean}
+ */
+function hasQueryPlaceholders(query) {
+  return parseTypeHints(query).typeHints.length > 0;
+}
 
-    let statementExists;
-    try {
-      await athenaClient.send(getCommand);
-      statementExists = true;
-      Logger.trace({ statementName }, 'Prepared statement exists');
-    } catch (error) {
-      // Statement doesn't exist (ResourceNotFoundException or similar)
-      statementExists = false;
-      Logger.trace({ statementName }, 'Prepared statement does not exist');
+/**
+ * Returns the entity type bound to the `:type` placeholder.  Custom entity types are bound by their type id.
+ * @param entity
+ * @returns {string}
+ */
+function getEntityTypeName(entity) {
+  if (entity.type === 'custom' && Array.isArray(entity.types)) {
+    const customType = entity.types.find((type) => typeof type === 'string' && type.startsWith('custom.'));
+    if (customType) {
+      return customType.slice('custom.'.length);
     }
+  }
+  return entity.type;
+}
 
-    if (statementExists) {
-      // Statement exists, update it with the new query
-      Logger.trace(
-        {
-          statementName,
-          originalQuery: query,
-          processedQuery,
-          typeHints
-        },
-        'Updating existing prepared statement'
-      );
-
-      const updateCommand = new UpdatePreparedStatementCommand({
-        StatementName: statementName,
-        QueryStatement: processedQuery,
-        WorkGroup: options.workGroup || 'primary'
-      });
+/**
+ * Values shared by every placeholder bound during a single query execution
+ * @param options
+ * @returns {{startTime: string, windowStart: string, windowEnd: string}}
+ */
+function createPlaceholderContext(options) {
+  // The start time and window end on a whole minute so repeated lookups within the same minute bind the same
+  // parameters and can be served from the result cache or reused by Athena
+  const now = DateTime.utc().startOf('minute');
+  const windowEnd = now;
+  const windowStart = windowEnd.minus({ hours: getLookbackWindow(options).hours });
 
-      await athenaClient.send(updateCommand);
-      Logger.trace({ statementName }, 'Successfully updated prepared statement');
-    } else {
-      // Statement doesn't exist, create it
-      Logger.trace(
-        {
-          statementName,
-          originalQuery: query,
-          processedQuery,
-          typeHints
-        },
-        'Creating new prepared statement'
-      );
+  return {
+    // Formatted as an Athena timestamp literal so it can be cast with `CAST(:start_time AS timestamp)`
+    startTime: now.toFormat(ATHENA_TIMESTAMP_FORMAT),
+    windowStart: windowStart.toFormat(ATHENA_TIMESTAMP_FORMAT),
+    windowEnd: windowEnd.toFormat(ATHENA_TIMESTAMP_FORMAT)
+  };
+}
 
-      const createCommand = new CreatePreparedStatementCommand({
-        StatementName: statementName,
-        QueryStatement: processedQuery,
-        WorkGroup: options.workGroup || 'primary'
-      });
+/**
+ * Returns the lookback window selected by the "Lookback Window" option
+ * @param options
+ * @returns {{value: string, display: string, hours: number}}
+ */
+function getLookbackWindow(options) {
+  const value = get(options, 'lookbackWindow.value', DEFAULT_LOOKBACK_WINDOW);
+  return (
+    LOOKBACK_WINDOWS.find((lookbackWindow) => lookbackWindow.value === value) ||
+    LOOKBACK_WINDOWS.find((lookbackWindow) => lookbackWindow.value === DEFAULT_LOOKBACK_WINDOW)
+  );
+}
 
-      await athenaClient.send(createCommand);
-      Logger.trace({ statementName }, 'Successfully created prepared statement');
-    }
+function isLookbackWindowQuery(query) {
+  return getQueryPlaceholders(query).some(({ name }) => name === 'window_start' || name === 'window_end');
+}
 
-    // Update our cached values
-    currentPreparedStatement = statementName;
-    currentQuery = processedQuery;
+/**
+ * Returns the lookback window searched by the query, and the next wider window, so the block can re-run the
+ * query with a wider window.  Returns null if the query does not use the lookback window placeholders.
+ * @param query
+ * @param options
+ * @returns {{value: string, display: string, widerValue: string|null, widerDisplay: string|null}|null}
+ */
+function getLookbackWindowDetails(query, options) {
+  if (!isLookbackWindowQuery(query)) {
+    return null;
   }
 
-  return currentPreparedStatement;
+  const lookbackWindow = getLookbackWindow(options);
+  const widerLookbackWindow = LOOKBACK_WINDOWS[LOOKBACK_WINDOWS.indexOf(lookbackWindow) + 1];
+
+  return {
+    value: lookbackWindow.value,
+    display: lookbackWindow.display,
+    widerValue: widerLookbackWindow ? widerLookbackWindow.value : null,
+    widerDisplay: widerLookbackWindow ? widerLookbackWindow.display : null
+  };
 }
 
-function createParameterValue(entityValue, type = 'string') {
-  const escapedValue = escapeEntityValue(entityValue);
+function getPlaceholderValue(name, entity, context) {
+  return NAMED_PLACEHOLDERS[name].getValue(entity, context);
+}
 
-  switch (type.toLowerCase()) {
-    case 'integer':
-    case 'int':
-    case 'bigint':
-      const intValue = parseInt(entityValue, 10);
-      if (isNaN(intValue)) {
-        throw new Error(`Cannot convert "${entityValue}" to integer type`);
-      }
-      return String(intValue);
+/**
+ * Applies the placeholder's transforms to the value in order.  Throws an error if the value cannot be transformed.
+ * @param value
+ * @param transforms
+ * @returns {string}
+ */
+function applyValueTransforms(value, transforms = []) {
+  return transforms.reduce(
+    (transformedValue, { name, argument }) => VALUE_TRANSFORMS[name].apply(transformedValue, argument),
+    value
+  );
+}
 
-    case 'decimal':
-    case 'double':
-    case 'float':
-    case 'real':
-      const floatValue = parseFloat(entityValue);
-      if (isNaN(floatValue)) {
-        throw new Error(`Cannot convert "${entityValue}" to numeric type`);
+/**
+ * Returns true if every transform applied to the entity value by the query's placeholders succeeds and, for
+ * `?:list:<type>` placeholders, the transformed value can be bound as the list type.  Entities whose value cannot be
+ * transformed are skipped instead of failing the lookup.
+ * @param entity
+ * @param placeholders
+ * @returns {boolean}
+ */
+function canTransformEntityValue(entity, placeholders) {
+  try {
+    placeholders.forEach(({ transforms, listType }) => {
+      const transformedValue = applyValueTransforms(entity.value, transforms);
+      if (listType) {
+        createParameterValue(transformedValue, listType);
       }
-      return String(floatValue);
+    });
+    return true;
+  } catch (error) {
+    Logger.trace({ entityValue: entity.value, error: error.message }, 'Skipping entity, value transform failed');
+    return false;
+  }
+}
 
-    case 'boolean':
-    case 'bool':
-      const lowerValue = entityValue.toLowerCase();
-      if (lowerValue === 'true' || lowerValue === '1') {
-        return 'true';
-      } else if (lowerValue === 'false' || lowerValue === '0') {
-        return 'false';
-      } else {
-        throw new Error(`Cannot convert "${entityValue}" to boolean type`);
+/**
+ * Returns an error message for the first transform in the query that is given an invalid argument, otherwise
+ * returns null.
+ * @param query
+ * @returns {string|null}
+ */
+function getTransformError(query) {
+  for (const { placeholder, transforms } of getQueryPlaceholders(query)) {
+    for (const { name, argument } of transforms) {
+      if (argument !== undefined && !VALUE_TRANSFORMS[name].acceptsArgument) {
+        return `The "${name}" transform does not accept an argument but found "${placeholder}"`;
+      }
+      if (name === 'cidr_network' && argument !== undefined && argument > 32) {
+        return `The "cidr_network" transform prefix length must be between 0 and 32 but found "${placeholder}"`;
       }
+    }
+  }
+  return null;
+}
 
-    case 'string':
-    case 'varchar':
-    case 'char':
-    default:
-      return `'${escapedValue}'`;
+function ipv4ToInt(value) {
+  const octets = value.trim().split('.');
+  if (octets.length !== 4 || !octets.every((octet) => /^\d{1,3}$/.test(octet) && parseInt(octet, 10) <= 255)) {
+    throw new Error(`"${value}" is not an IPv4 address`);
   }
+  return octets.reduce((accum, octet) => accum * 256 + parseInt(octet, 10), 0);
 }
 
-function createQuery(entity, options, preparedStatementName = null) {
-  let queryString;
+function intToIpv4(value) {
+  return [24, 16, 8, 0].map((shift) => Math.floor(value / 2 ** shift) % 256).join('.');
+}
 
-  if (options.query.includes('?')) {
-    // Use the prepared statement name passed in (already ensured in doLookup)
-    if (!preparedStatementName) {
-      throw new Error('Prepared statement name required for parameterized queries');
-    }
+/**
+ * Returns the network of the IPv4 address in CIDR notation, e.g. `10.1.2.3` with a prefix length of 24 is
+ * `10.1.2.0/24`
+ * @param value
+ * @param prefixLength
+ * @returns {string}
+ */
+function getCidrNetwork(value, prefixLength) {
+  const blockSize = 2 ** (32 - prefixLength);
+  const network = Math.floor(ipv4ToInt(value) / blockSize) * blockSize;
+  return `${intToIpv4(network)}/${prefixLength}`;
+}
 
-    // Get type hints that were extracted during prepared statement creation
-    const typeHints = options._typeHints || [];
-    const parameterCount = typeHints.length;
+function getUrlHost(value) {
+  const trimmedValue = value.trim();
+  // Values without a scheme such as `example.com/path` are parsed as http URLs
+  const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmedValue) ? trimmedValue : `http://${trimmedValue}`);
+  if (!url.hostname) {
+    throw new Error(`"${value}" does not have a host`);
+  }
+  return url.hostname;
+}
 
-    // Create parameter list using type hints
-    const parameters = [];
-    for (let i = 0; i < parameterCount; i++) {
-      const typeHint = typeHints[i];
-      try {
-        const parameterValue = createParameterValue(entity.value, typeHint.type);
-        parameters.push(parameterValue);
-      } catch (error) {
-        Logger.error(
-          {
-            error: error.message,
-            entityValue: entity.value,
-            expectedType: typeHint.type,
-            parameterIndex: i
-          },
-          'Failed to convert entity value to expected type'
-        );
-        throw new Error(`Parameter ${i + 1}: ${error.message}`);
-      }
-    }
+function getEmailDomain(value) {
+  const trimmedValue = value.trim();
+  const atIndex = trimmedValue.lastIndexOf('@');
+  if (atIndex < 1 || atIndex === trimmedValue.length - 1) {
+    throw new Error(`"${value}" is not an email address`);
+  }
+  return trimmedValue.slice(atIndex + 1).toLowerCase();
+}
 
-    const parametersString = parameters.join(', ');
+/**
+ * Returns the registered domain (the domain directly below its public suffix, e.g. `example.co.uk`) of a domain,
+ * URL or email address
+ * @param value
+ * @returns {string}
+ */
+function getRegisteredDomain(value) {
+  const trimmedValue = value.trim();
+  const registeredDomain = getDomain(trimmedValue.includes('@') ? getEmailDomain(trimmedValue) : trimmedValue);
+  if (!registeredDomain) {
+    throw new Error(`"${value}" does not have a registered domain`);
+  }
+  return registeredDomain.toLowerCase();
+}
 
-    // Query has parameters, use EXECUTE with USING
-    queryString = `EXECUTE ${preparedStatementName} USING ${parametersString}`;
+/**
+ * Prepared statements are named after a hash of the processed query and workgroup so integration instances with
+ * different queries sharing a workgroup never overwrite each other's statement.  Instances running the same
+ * query share the same statement.
+ * @param processedQuery
+ * @param workGroup
+ * @returns {string}
+ */
+function getPreparedStatementName(processedQuery, workGroup) {
+  const hash = crypto.createHash('sha256').update(`${workGroup}\n${processedQuery}`).digest('hex');
+  return `polarity_${hash.slice(0, PREPARED_STATEMENT_HASH_LENGTH)}`;
+}
+
+/**
+ * Ensures a prepared statement exists in Athena for the given query.  Each query key (entity type or the default
+ * query) tracks the statement it uses.  Statements are never updated in place since the statement name is
+ * derived from the query, a changed query gets a new statement.
+ *
+ * Returns an object of the format:
+ * ```
+ * {
+ *     statementName: <name of the prepared statement>,
+ *     processedQuery: <query with type hints removed>,
+ *     typeHints: <array of type hints, one per parameter>
+ * }
+ * ```
+ * @param queryKey
+ * @param query
+ * @param options
+ * @returns {Promise<{statementName: string, processedQuery: string, typeHints: Array}>}
+ */
+async function ensurePreparedStatement(queryKey, query, options) {
+  const workGroup = getWorkGroup(options);
+
+  // Parse type hints from the query (converts ?:<type> to ? and extracts type info)
+  const { query: processedQuery, typeHints } = parseTypeHints(query);
+  const statementName = getPreparedStatementName(processedQuery, workGroup);
+
+  // Type hints and transforms are not part of the statement so they can change without re-preparing it
+  const existingStatement = preparedStatements.get(queryKey);
+  if (existingStatement && existingStatement.statementName === statementName) {
+    const statement = { ...existingStatement, typeHints };
+    preparedStatements.set(queryKey, statement);
+    return statement;
+  }
+
+  // Another instance with the same query may have already created the statement
+  const getCommand = new GetPreparedStatementCommand({
+    StatementName: statementName,
+    WorkGroup: workGroup
+  });
+
+  let statementExists;
+  try {
+    await athenaClient.send(getCommand);
+    statementExists = true;
+    Logger.trace({ statementName }, 'Prepared statement exists');
+  } catch (error) {
+    // Statement doesn't exist (ResourceNotFoundException or similar)
+    statementExists = false;
+    Logger.trace({ statementName }, 'Prepared statement does not exist');
+  }
 
+  if (!statementExists) {
     Logger.trace(
       {
-        parameterCount,
-        parameters: parametersString,
-        entityValue: entity.value,
-        typeHints,
-        query: options.query
+        statementName,
+        originalQuery: query,
+        processedQuery,
+        typeHints
       },
-      'Created type-hinted parameterized query execution'
+      'Creating new prepared statement'
     );
-  } else {
-    // Query has no parameters, execute the raw query directly
-    queryString = options.query;
-  }
 
-  const queryParams = {
-    QueryString: queryString,
-    WorkGroup: options.workGroup || 'primary'
-  };
+    const createCommand = new CreatePreparedStatementCommand({
+      StatementName: statementName,
+      QueryStatement: processedQuery,
+      WorkGroup: workGroup
+    });
 
-  // Only specify ResultConfiguration if OutputLocation is provided
-  // If WorkGroup has default ResultConfiguration, it will be used automatically
-  if (options.outputLocation && options.outputLocation.trim().length > 0) {
-    queryParams.ResultConfiguration = {
-      OutputLocation: options.outputLocation
-    };
+    await athenaClient.send(createCommand);
+    createdPreparedStatements.set(statementName, { workGroup });
+    Logger.trace({ statementName }, 'Successfully created prepared statement');
   }
 
-  return queryParams;
+  // Update our cached values
+  const preparedStatement = {
+    statementName,
+    processedQuery,
+    typeHints
+  };
+  preparedStatements.set(queryKey, preparedStatement);
+
+  return preparedStatement;
 }
 
-async function executeAthenaQuery(athenaClient, queryParams, options) {
-  // Start query execution
-  const startCommand = new StartQueryExecutionCommand(queryParams);
-  let startResult;
+/**
+ * Re-creates the prepared statement an `EXECUTE` query runs if it was deleted from Athena, e.g. by another
+ * integration instance cleaning up.  The statement is only considered missing when Athena reports it with a
+ * `ResourceNotFoundException`, so queries that failed for any other reason are not retried.  Concurrent queries that
+ * hit the same missing statement share one re-creation.
+ * @param queryString
+ * @param workGroup
+ * @returns {Promise<boolean>} true if the statement was re-created and the query can be run again
+ */
+async function recreateMissingPreparedStatement(queryString, workGroup) {
+  const match = /^\s*EXECUTE\s+(\w+)/i.exec(queryString || '');
+  const statement = match
+    ? [...preparedStatements.values()].find(({ statementName }) => statementName === match[1])
+    : null;
+  if (!statement) {
+    return false;
+  }
 
-  try {
-    startResult = await athenaClient.send(startCommand);
-  } catch (error) {
-    // Handle specific S3 bucket errors with better messaging
-    if (error.name === 'InvalidRequestException' && error.message && error.message.includes('output bucket')) {
-      const bucketMatch = error.message.match(/bucket ([^\s]+)/);
-      const bucketName = bucketMatch ? bucketMatch[1] : 'unknown';
+  const { statementName, processedQuery } = statement;
+  if (!pendingPreparedStatements.has(statementName)) {
+    const recreateStatement = async () => {
+      try {
+        await athenaClient.send(
+          new GetPreparedStatementCommand({ StatementName: statementName, WorkGroup: workGroup })
+        );
+        // The statement exists so the query failed for another reason
+        return false;
+      } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') {
+          return false;
+        }
+      }
 
-      throw new Error(
-        `S3 output bucket error: ${error.message}. Please ensure the bucket '${bucketName}' exists and the IAM user has s3:PutObject and s3:GetBucketLocation permissions, or configure a WorkGroup with a default output location.`
+      Logger.trace({ statementName }, 'Prepared statement is missing, re-creating it');
+      await athenaClient.send(
+        new CreatePreparedStatementCommand({
+          StatementName: statementName,
+          QueryStatement: processedQuery,
+          WorkGroup: workGroup
+        })
       );
-    }
+      createdPreparedStatements.set(statementName, { workGroup });
+      return true;
+    };
 
-    // For other errors, create a clean error object without circular references
-    throw new Error(`Failed to start Athena query: ${error.message || error.name || 'Unknown error'}`);
+    pendingPreparedStatements.set(
+      statementName,
+      recreateStatement().finally(() => pendingPreparedStatements.delete(statementName))
+    );
   }
+  return pendingPreparedStatements.get(statementName);
+}
 
-  const queryExecutionId = startResult.QueryExecutionId;
-  Logger.trace({ queryExecutionId }, 'Started Athena query execution');
+/**
+ * Deletes the prepared statements created by this integration that are no longer used by the "SQL Query",
+ * "Entity Type Queries", "Query Panels" or "Pivot Queries" options.  Only runs when one of the query options
+ * changed.  Statements created by other instances, or before the integration was restarted, are left alone.
+ * @param options
+ * @returns {Promise<void>}
+ */
+async function deleteStalePreparedStatements(options) {
+  const queryOptions = JSON.stringify([
+    options.query,
+    cachedEntityTypeQueries,
+    cachedQueryPanels.map((panel) => panel.query),
+    cachedPivotQueries,
+    getWorkGroup(options)
+  ]);
+  if (queryOptions === lastPreparedStatementQueryOptions) {
+    return;
+  }
+  lastPreparedStatementQueryOptions = queryOptions;
+
+  const workGroup = getWorkGroup(options);
+  const currentStatementNames = new Set(
+    [
+      options.query,
+      ...Object.values(cachedEntityTypeQueries),
+      ...cachedQueryPanels.map((panel) => panel.query),
+      ...Object.values(cachedPivotQueries).map((pivotQuery) => pivotQuery.query)
+    ]
+      .filter((query) => typeof query === 'string' && hasQueryPlaceholders(query) && !isBatchQuery(query))
+      .map((query) => getPreparedStatementName(parseTypeHints(query).query, workGroup))
+  );
+
+  for (const [statementName, statement] of [...createdPreparedStatements]) {
+    if (currentStatementNames.has(statementName)) {
+      continue;
+    }
 
-  // Wait for query to complete with timeout
-  let queryStatus = QUERY_STATUS.RUNNING;
-  let attempts = 0;
-  let statusResult = null;
+    createdPreparedStatements.delete(statementName);
+    preparedStatements.forEach((preparedStatement, queryKey) => {
+      if (preparedStatement.statementName === statementName) {
+        preparedStatements.delete(queryKey);
+      }
+    });
 
-  while (queryStatus === QUERY_STATUS.RUNNING || queryStatus === QUERY_STATUS.QUEUED) {
-    if (attempts >= MAX_QUERY_STATUS_POLLING_ATTEMPTS) {
-      Logger.trace(
-        {
-          queryExecutionId,
-          attempts
-        },
-        'Query execution timeout reached, returning queryExecutionId for later polling'
+    try {
+      await athenaClient.send(
+        new DeletePreparedStatementCommand({
+          StatementName: statementName,
+          WorkGroup: statement.workGroup
+        })
       );
-
-      // Extract partial execution stats for running queries
-      const partialStats = statusResult?.QueryExecution?.Statistics || {};
-      const queryExecution = statusResult?.QueryExecution || {};
-      const submissionTime = queryExecution.Status?.SubmissionDateTime;
-      
-      // Use helper function to calculate elapsed time
-      const { elapsedMs, elapsedSeconds } = calculateElapsedTime(submissionTime);
-
-      const incompleteStats = {
-        runtimeMs: null, // Not available until completion
-        runtimeSeconds: null,
-        elapsedMs: elapsedMs,
-        elapsedSeconds: elapsedSeconds,
-        dataScannedBytes: partialStats.DataScannedInBytes || null,
-        status: 'RUNNING'
-      };
-
-      return {
-        results: undefined,
-        complete: false,
-        queryExecutionId: queryExecutionId,
-        executionStats: incompleteStats
-      };
+      Logger.trace({ statementName }, 'Deleted stale prepared statement');
+    } catch (error) {
+      // A statement that cannot be deleted is harmless so the lookup continues
+      Logger.error({ error, statementName }, 'Failed to delete stale prepared statement');
     }
+  }
+}
 
-    await new Promise((resolve) => setTimeout(resolve, POLLING_WAIT_INTERVAL));
-
-    const statusCommand = new GetQueryExecutionCommand({ QueryExecutionId: queryExecutionId });
-    statusResult = await athenaClient.send(statusCommand);
-    queryStatus = statusResult.QueryExecution.Status.State;
+function getWorkGroup(options) {
+  return options.workGroup || 'primary';
+}
 
-    Logger.trace({ queryStatus, attempts, queryExecutionId }, 'Athena query status check');
-    attempts++;
+/**
+ * Parses the "Entity Type Queries" option which is a JSON object mapping entity types to SQL queries
+ * (e.g., `{"IPv4": "SELECT ...", "domain": "SELECT ..."}`).  Entity type keys are normalized to lower case.
+ * @param entityTypeQueriesOption
+ * @returns {{}} map of lower cased entity type to SQL query
+ */
+function parseEntityTypeQueries(entityTypeQueriesOption) {
+  if (typeof entityTypeQueriesOption !== 'string' || entityTypeQueriesOption.trim().length === 0) {
+    return {};
   }
 
-  if (queryStatus === QUERY_STATUS.FAILED || queryStatus === QUERY_STATUS.CANCELLED) {
-    const errorMsg =
-      queryStatus === QUERY_STATUS.FAILED
-        ? `Query failed: ${statusResult.QueryExecution.Status.StateChangeReason}`
-        : 'Query was cancelled';
-    throw new Error(errorMsg);
+  const parsed = JSON.parse(entityTypeQueriesOption);
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Entity Type Queries must be a JSON object mapping entity types to SQL queries');
   }
 
-  // Extract execution statistics from Athena
-  const executionStats = statusResult.QueryExecution.Statistics || {};
-  const queryExecution = statusResult.QueryExecution || {};
+  return Object.keys(parsed).reduce((accum, entityType) => {
+    const query = parsed[entityType];
+    if (typeof query !== 'string' || query.trim().length === 0) {
+      throw new Error(`The query for entity type "${entityType}" must be a non-empty string`);
+    }
+    accum[entityType.trim().toLowerCase()] = query;
+    return accum;
+  }, {});
+}
 
-  // Calculate runtime information
-  const submissionTime = queryExecution.Status?.SubmissionDateTime;
-  const completionTime = queryExecution.Status?.CompletionDateTime;
-  let runtimeMs = null;
-  let runtimeSeconds = null;
+function setCachedEntityTypeQueries(options) {
+  if (lastEntityTypeQueriesOption !== options.entityTypeQueries) {
+    cachedEntityTypeQueries = parseEntityTypeQueries(options.entityTypeQueries);
+    lastEntityTypeQueriesOption = options.entityTypeQueries;
+  }
 
-  if (submissionTime && completionTime) {
-    runtimeMs = new Date(completionTime) - new Date(submissionTime);
-    runtimeSeconds = (runtimeMs / 1000).toFixed(3);
+  return cachedEntityTypeQueries;
+}
+
+/**
+ * Parses the "Pivot Queries" option which is a JSON object mapping the name of a follow-up query to the result
+ * column it pivots on and the SQL query to run (e.g., `{"All activity for this user": {"column": "username",
+ * "query": "SELECT * FROM cloudtrail WHERE username = :value"}}`).  Columns are normalized to lower case.
+ * @param pivotQueriesOption
+ * @returns {{}} map of pivot name to `{name, column, query}`
+ */
+function parsePivotQueries(pivotQueriesOption) {
+  if (typeof pivotQueriesOption !== 'string' || pivotQueriesOption.trim().length === 0) {
+    return {};
   }
 
-  // Athena provides execution time in milliseconds in Statistics.EngineExecutionTimeInMillis
-  const athenaRuntimeMs = executionStats.EngineExecutionTimeInMillis || null;
-  const athenaRuntimeSeconds = athenaRuntimeMs ? (athenaRuntimeMs / 1000).toFixed(3) : null;
+  const parsed = JSON.parse(pivotQueriesOption);
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Pivot Queries must be a JSON object mapping pivot names to a column and SQL query');
+  }
 
-  const queryStats = {
-    runtimeMs: athenaRuntimeMs || runtimeMs,
-    runtimeSeconds: athenaRuntimeSeconds || runtimeSeconds,
-    dataScannedBytes: executionStats.DataScannedInBytes || null,
-    dataProcessedBytes: executionStats.DataProcessedInBytes || null,
-    queryQueueTimeMs: executionStats.QueryQueueTimeInMillis || null,
-    queryPlanningTimeMs: executionStats.QueryPlanningTimeInMillis || null,
-    serviceProcessingTimeMs: executionStats.ServiceProcessingTimeInMillis || null
-  };
+  return Object.keys(parsed).reduce((accum, name) => {
+    const { column, query } = parsed[name] || {};
+    if (!isNonEmptyString(column)) {
+      throw new Error(`The pivot query "${name}" must have a non-empty "column"`);
+    }
+    if (!isNonEmptyString(query)) {
+      throw new Error(`The pivot query "${name}" must have a non-empty "query"`);
+    }
+    if (isBatchQuery(query)) {
+      throw new Error(`The pivot query "${name}" cannot use the "?:list" placeholder`);
+    }
+    accum[name] = {
+      name,
+      column: column.trim().toLowerCase(),
+      query
+    };
+    return accum;
+  }, {});
+}
 
-  Logger.trace({ queryStats, executionStats }, 'Athena query execution statistics');
+function setCachedPivotQueries(options) {
+  if (lastPivotQueriesOption !== options.pivotQueries) {
+    cachedPivotQueries = parsePivotQueries(options.pivotQueries);
+    lastPivotQueriesOption = options.pivotQueries;
+  }
 
-  // Get query results
-  const resultsCommand = new GetQueryResultsCommand({
-    QueryExecutionId: queryExecutionId,
-    MaxResults: options.limit || 100
-  });
-  const resultsResponse = await athenaClient.send(resultsCommand);
+  return cachedPivotQueries;
+}
 
-  Logger.trace({ resultSetMetadata: resultsResponse.ResultSet.ResultSetMetadata }, 'Athena query results metadata');
+/**
+ * Returns the names of the pivot queries that pivot on the given result column
+ * @param column
+ * @returns {string[]}
+ */
+function getPivotNamesForColumn(column) {
+  const normalizedColumn = column.trim().toLowerCase();
+  return Object.values(cachedPivotQueries)
+    .filter((pivotQuery) => pivotQuery.column === normalizedColumn)
+    .map((pivotQuery) => pivotQuery.name);
+}
 
-  // Convert Athena results to JSON format
-  const rows = resultsResponse.ResultSet.Rows;
-  if (!rows || rows.length === 0) {
-    return {
-      results: [],
-      complete: true,
-      queryExecutionId: queryExecutionId,
-      executionStats: queryStats
-    };
+/**
+ * Runs a pivot query for a value from a result row.  The value is bound to the query's placeholders like an
+ * entity value of type `pivot`, through the same prepared statement, result cache and polling path as lookups.
+ * @param pivotName
+ * @param value
+ * @param options
+ * @returns {Promise<Object>}
+ */
+async function runPivotQuery(pivotName, value, options) {
+  const pivotQuery = cachedPivotQueries[pivotName];
+  if (!pivotQuery) {
+    throw new Error(`Unknown pivot query "${pivotName}"`);
   }
 
-  // First row contains column headers
-  const headers = rows[0].Data.map((col) => col.VarCharValue);
+  const entity = { value: String(value), type: PIVOT_ENTITY_TYPE, types: [PIVOT_ENTITY_TYPE] };
+  const entityQuery = { queryKey: `${PIVOT_QUERY_KEY_PREFIX}${pivotName}`, query: pivotQuery.query };
 
-  // Convert remaining rows to objects
-  const results = rows.slice(1).map((row) => {
-    const obj = {};
-    row.Data.forEach((col, index) => {
-      obj[headers[index]] = col.VarCharValue;
-    });
-    return obj;
-  });
+  const preparedStatement = hasQueryPlaceholders(entityQuery.query)
+    ? await ensurePreparedStatement(entityQuery.queryKey, entityQuery.query, options)
+    : null;
+
+  return runEntityQuery(entity, entityQuery, preparedStatement, options);
+}
+
+/**
+ * Formats the result of a pivot query for the block.  Pivot queries return different columns than the lookup
+ * query so every column of each row is shown instead of the detail attributes.
+ * @param pivotName
+ * @param value
+ * @param queryResult
+ * @param options
+ * @returns {Object}
+ */
+function formatPivotResult(pivotName, value, queryResult, options) {
+  const results =
+    queryResult.complete && Array.isArray(queryResult.results)
+      ? queryResult.results.map((result) => ({
+          attributes: Object.keys(result)
+            .filter((key) => result[key] !== undefined && result[key] !== null && result[key] !== '')
+            .map((key) => ({
+              key,
+              value: typeof result[key] === 'object' ? JSON.stringify(result[key]) : result[key]
+            }))
+        }))
+      : [];
+
+  const executionStats = queryResult.executionStats;
+  const estimatedCost = executionStats ? estimateQueryCost(executionStats.dataScannedBytes, options) : null;
 
   return {
-    results: results,
-    complete: true,
-    queryExecutionId: queryExecutionId,
-    executionStats: queryStats
+    pivotName,
+    value,
+    results,
+    complete: queryResult.complete === true,
+    cancelled: queryResult.cancelled === true,
+    budgetExhausted: queryResult.budgetExhausted === true,
+    queryExecutionId: queryResult.queryExecutionId,
+    executionStats: executionStats
+      ? { ...executionStats, estimatedCost: estimatedCost === null ? null : estimatedCost.toFixed(4) }
+      : null
   };
 }
 
-function optionsHaveChanged(options) {
-  if (
-    originalOptions === null ||
-    originalOptions.region.value !== options.region.value ||
-    originalOptions.endpoint !== options.endpoint ||
-    originalOptions.accessKeyId !== options.accessKeyId ||
-    originalOptions.secretAccessKey !== options.secretAccessKey
-  ) {
-    Logger.trace({ originalOptions, options }, 'Options have changed');
-    originalOptions = { ...options };
-    return true;
+/**
+ * Parses the "Query Panels" option which is a JSON array of named queries run for every entity in addition to the
+ * main query (e.g., `[{"name": "Sightings", "query": "SELECT count(*) AS hits FROM dns_logs WHERE query = ?",
+ * "summaryAttributes": "Hits:hits"}]`).  Each panel can have its own "documentTitleAttribute",
+ * "detailAttributes" and "summaryAttributes" using the same format as the options of the same name.
+ * @param queryPanelsOption
+ * @returns {Array} panels in the order they are shown
+ */
+function parseQueryPanels(queryPanelsOption) {
+  if (typeof queryPanelsOption !== 'string' || queryPanelsOption.trim().length === 0) {
+    return [];
   }
-  return false;
-}
 
-function summaryTagsOptionHasChanged(options) {
-  if (originalOptions.summaryTags !== options.summaryTags) {
-    originalOptions = options;
-    return true;
+  const parsed = JSON.parse(queryPanelsOption);
+  if (!Array.isArray(parsed)) {
+    throw new Error('Query Panels must be a JSON array of objects with a name and SQL query');
   }
 
-  return false;
-}
-
-function errorToPojo(err, detail) {
-  if (err instanceof Error) {
-    // Create a clean error object without circular references
-    const cleanError = {
-      name: err.name,
-      message: err.message,
-      detail: detail || err.message || 'Unexpected error encountered'
-    };
+  const panelNames = new Set();
+  return parsed.map((panelOption, index) => {
+    const { name, query, documentTitleAttribute, detailAttributes, summaryAttributes, collapsed } = panelOption || {};
+    if (!isNonEmptyString(name)) {
+      throw new Error(`The query panel at position ${index + 1} must have a non-empty "name"`);
+    }
 
-    // Only include stack trace if it exists and doesn't contain circular references
-    if (err.stack && typeof err.stack === 'string') {
-      cleanError.stack = err.stack;
+    const panelName = name.trim();
+    if (panelNames.has(panelName)) {
+      throw new Error(`The query panel name "${panelName}" is used more than once`);
     }
+    panelNames.add(panelName);
 
-    // Handle AWS SDK specific error properties safely
-    if (err.$metadata) {
-      cleanError.requestId = err.$metadata.requestId;
-      cleanError.httpStatusCode = err.$metadata.httpStatusCode;
+    if (!isNonEmptyString(query)) {
+      throw new Error(`The query panel "${panelName}" must have a non-empty "query"`);
+    }
+    if (isBatchQuery(query)) {
+      throw new Error(`The query panel "${panelName}" cannot use the "?:list" placeholder`);
     }
 
-    return cleanError;
-  }
+    const parsePanelAttributes = (key, value, processOption = processAttributeOption) => {
+      if (value === undefined || value === null) {
+        return null;
+      }
+      if (typeof value !== 'string') {
+        throw new Error(`The "${key}" of the query panel "${panelName}" must be a string`);
+      }
+      return value.trim().length > 0 ? processOption(value, true) : null;
+    };
 
-  // If it's not an Error object, return it as-is (but this shouldn't happen)
-  return err;
+    return {
+      name: panelName,
+      queryKey: `${QUERY_PANEL_KEY_PREFIX}${panelName}`,
+      query,
+      collapsed: collapsed === true,
+      displayAttributes: {
+        documentTitleAttributes: parsePanelAttributes('documentTitleAttribute', documentTitleAttribute),
+        detailAttributes: parsePanelAttributes('detailAttributes', detailAttributes),
+        summaryAttributes: parsePanelAttributes('summaryAttributes', summaryAttributes, processSummaryAttributeOption)
+      }
+    };
+  });
 }
 
-function parseAttribute(attribute, parser) {
-  // Handle null/undefined attributes
-  if (attribute === null || attribute === undefined) {
-    return '';
+function setCachedQueryPanels(options) {
+  if (lastQueryPanelsOption !== options.queryPanels) {
+    cachedQueryPanels = parseQueryPanels(options.queryPanels);
+    lastQueryPanelsOption = options.queryPanels;
   }
 
-  try {
-    switch (parser) {
-      case null:
-      case undefined:
-        return attribute;
-      case 'date-iso':
-        const isoDate = DateTime.fromISO(attribute);
-        return isoDate.isValid ? isoDate.toLocaleString(DateTime.DATETIME_SHORT) : attribute;
-      case 'date-http':
-        const httpDate = DateTime.fromHTTP(attribute);
-        return httpDate.isValid ? httpDate.toLocaleString(DateTime.DATETIME_SHORT) : attribute;
-      case 'date-rfc2822':
-        const rfcDate = DateTime.fromRFC2822(attribute);
-        return rfcDate.isValid ? rfcDate.toLocaleString(DateTime.DATETIME_SHORT) : attribute;
-      case 'date-sql':
-        const sqlDate = DateTime.fromSQL(attribute);
-        return sqlDate.isValid ? sqlDate.toLocaleString(DateTime.DATETIME_SHORT) : attribute;
-      case 'date-seconds':
-        const secondsDate = DateTime.fromSeconds(+attribute);
-        return secondsDate.isValid ? secondsDate.toLocaleString(DateTime.DATETIME_SHORT) : attribute;
-      case 'date-millis':
-        // Fixed: Use fromMillis instead of fromSeconds for milliseconds
-        const millisDate = DateTime.fromMillis(+attribute);
-        return millisDate.isValid ? millisDate.toLocaleString(DateTime.DATETIME_SHORT) : attribute;
-      default:
-        return attribute;
-    }
-  } catch (error) {
-    Logger.trace({ attribute, parser, error }, 'Error parsing attribute, returning original value');
-    return attribute;
+  return cachedQueryPanels;
+}
+
+function getQueryPanel(panelName, options) {
+  const panel = setCachedQueryPanels(options).find((queryPanel) => queryPanel.name === panelName);
+  if (!panel) {
+    throw new Error(`Unknown query panel "${panelName}"`);
   }
+  return panel;
 }
 
 /**
- * Takes the attribute option string which is a comma delimited list of attributes to display and converts
- * it into an object of the format:
- * ```
- * {
- *     label: <attribute label>,
- *     attribute: <attribute name>,
- *     parser: <attribute parser>
- * }
- * ```
- * The label is optional and is the display label to be used for the attribute.  If no label is provided then the
- * attribute name is used
- *
- * The attribute is the "name" of the attribute
- *
- * The parser is the parser to use if specified for converting the attribute value (currently supports various
- * date parsers for Athena timestamp and date fields).
- * then
- * @param attributeOption
- * @returns {*}
+ * Runs every query panel for the entity concurrently through the same prepared statement, result cache and
+ * polling path as the main query.
+ * @param entity
+ * @param options
+ * @param bypassCache
+ * @returns {Promise<Array<{panel, queryResult}>>}
  */
-function processAttributeOption(attributeOption) {
-  const fields = attributeOption.split(',').map((column) => {
-    const tokens = column.split(':');
-    if (tokens.length === 1) {
-      return {
-        label: tokens[0].trim(),
-        attribute: tokens[0].trim(),
-        parser: null
-      };
-    } else if (tokens.length === 2) {
-      return {
-        label: tokens[0].trim(),
-        attribute: tokens[1].trim(),
-        parser: null
-      };
-    } else if (tokens.length === 3) {
+async function runQueryPanels(entity, options, bypassCache = false) {
+  return Promise.all(
+    cachedQueryPanels.map(async (panel) => {
+      const entityQuery = { queryKey: panel.queryKey, query: panel.query };
+      const preparedStatement = hasQueryPlaceholders(panel.query)
+        ? await ensurePreparedStatement(panel.queryKey, panel.query, options)
+        : null;
+
       return {
-        label: tokens[0].trim(),
-        attribute: tokens[2].trim(),
-        parser: tokens[1].trim().toLowerCase()
+        panel,
+        queryResult: await runEntityQuery(entity, entityQuery, preparedStatement, options, bypassCache)
       };
-    }
-  });
-
-  return fields;
+    })
+  );
 }
 
-function getDocumentTitle(result) {
-  // Use cached document title attributes if available
-  if (!cachedDocumentTitleAttributes || cachedDocumentTitleAttributes.length === 0) {
-    return null;
-  }
-
-  const attributeObj = cachedDocumentTitleAttributes[0];
-  const attributeValue = get(result, attributeObj.attribute);
-  const parsedValue = parseAttribute(attributeValue, attributeObj.parser);
-  if (attributeObj.label) {
-    return `${attributeObj.label}: ${parsedValue}`;
+/**
+ * Formats the result of a query panel with the panel's own display attributes.  Panels without results add no
+ * summary tags and the tags of panels that did not complete are prefixed with the panel name.
+ * @param panel
+ * @param queryResult
+ * @param options
+ * @returns {{name, collapsed, summary, details}}
+ */
+function formatPanelResult(panel, queryResult, options) {
+  const { summary, details } = formatQueryResult(queryResult, options, panel.displayAttributes);
+
+  let panelSummary;
+  if (isEmptyQueryResult(queryResult)) {
+    panelSummary = [];
+  } else if (queryResult.complete && !queryResult.cancelled && !queryResult.budgetExhausted) {
+    panelSummary = getSummaryTags(queryResult.results, options, panel.displayAttributes, panel.name);
   } else {
-    return parsedValue;
+    panelSummary = summary.map((tag) => `${panel.name}: ${tag}`);
   }
+
+  return {
+    name: panel.name,
+    collapsed: panel.collapsed,
+    summary: panelSummary,
+    details
+  };
 }
 
-function getDetails(results, options, complete = true, queryExecutionId = null, executionStats = null) {
-  // If no detail attributes are cached then we just display the
-  // whatever Athena returns using the JSON viewer
-  if (!cachedDetailAttributes || cachedDetailAttributes.length === 0) {
-    return {
-      showAsJson: true,
-      results,
-      complete: complete,
-      queryExecutionId: queryExecutionId,
-      executionStats: executionStats
-    };
+/**
+ * Formats the result of the main query together with the results of the query panels.  The summary tags of all
+ * queries are merged and the panels are added to the details in their configured order.
+ * @param queryResult
+ * @param panelResults
+ * @param options
+ * @returns {{summary, details}}
+ */
+function formatLookupResult(queryResult, panelResults, options) {
+  const formattedResult = formatQueryResult(queryResult, options);
+  if (panelResults.length === 0) {
+    return formattedResult;
   }
 
-  const details = [];
-  // Use cached detail attributes instead of processing them again
-  const detailAttributes = cachedDetailAttributes;
-
-  results.forEach((result) => {
-    const document = [];
-    detailAttributes.forEach((attributeObj) => {
-      const attributeValue = get(result, attributeObj.attribute);
-      if (attributeValue !== undefined && attributeValue !== null && attributeValue !== '') {
-        document.push({
-          key: attributeObj.label,
-          value: parseAttribute(attributeValue, attributeObj.parser)
-        });
-      }
-    });
-
-    if (document.length > 0) {
-      // Create resultAsString by concatenating all attribute values with spaces
-      // Handle nested JSON values by converting objects/arrays to searchable strings
-      const resultAsString = document
-        .map((attr) => {
-          const value = attr.value;
-          if (typeof value === 'object' && value !== null) {
-            // For objects/arrays, convert to JSON string for filtering
-            return JSON.stringify(value).toLowerCase();
-          }
-          // For primitive values, return as-is
-          return String(value).toLowerCase();
-        })
-        .join(' ');
+  const panels = panelResults.map(({ panel, queryResult: panelQueryResult }) =>
+    formatPanelResult(panel, panelQueryResult, options)
+  );
 
-      details.push({
-        title: getDocumentTitle(result),
-        attributes: document,
-        resultAsString: resultAsString
-      });
-    }
-  });
+  // A main query without results does not add a "No results" tag when a panel has something to show
+  const summary = [
+    ...(isEmptyQueryResult(queryResult) ? [] : formattedResult.summary),
+    ...panels.flatMap((panel) => panel.summary)
+  ];
 
   return {
-    showAsJson: false,
-    results: details,
-    complete: complete,
-    queryExecutionId: queryExecutionId,
-    executionStats: executionStats
+    summary: [...new Set(summary)],
+    details: {
+      ...formattedResult.details,
+      panels
+    }
   };
 }
 
-function getSummaryTags(results, options) {
-  const tags = [];
-
-  // Check if cached summary attributes are available
-  if (!cachedSummaryAttributes || cachedSummaryAttributes.length === 0) {
-    // No summary attributes configured, just return result count
-    tags.push(`${results.length} ${results.length === 1 ? 'result' : 'results'}`);
-    return tags;
-  }
-
-  // Use cached summary attributes instead of processing them again
-  const summaryAttributes = cachedSummaryAttributes;
+function isEmptyQueryResult(queryResult) {
+  return (
+    queryResult.complete === true &&
+    !queryResult.cancelled &&
+    !queryResult.budgetExhausted &&
+    // Entities of a truncated batch are still shown so the remaining rows can be loaded
+    !isTruncatedBatchResult(queryResult) &&
+    (!Array.isArray(queryResult.results) || queryResult.results.length === 0)
+  );
+}
 
-  summaryAttributes.forEach((attributeObj) => {
-    for (let i = 0; i < options.maxSummaryDocuments && i < results.length; i++) {
-      const result = results[i];
-      const tag = get(result, attributeObj.attribute);
-      if (tag !== undefined && tag !== null && tag !== '') {
-        if (attributeObj.label) {
-          tags.push(`${attributeObj.label}: ${parseAttribute(tag, attributeObj.parser)}`);
-        } else {
-          tags.push(parseAttribute(tag, attributeObj.parser));
-        }
+/**
+ * Returns the entity's types ordered from most to least specific (e.g., `SHA256` before `hash`).  Custom
+ * types are returned both with and without their `custom.` prefix.
+ * @param entity
+ * @returns {string[]}
+ */
+function getEntityTypeCandidates(entity) {
+  const types = Array.isArray(entity.types) ? entity.types : [];
+
+  return types
+    .filter((type) => type !== entity.type)
+    .concat(entity.type)
+    .filter((type) => typeof type === 'string' && type.length > 0)
+    .reduce((accum, type) => {
+      accum.push(type.toLowerCase());
+      if (type.startsWith('custom.')) {
+        accum.push(type.slice('custom.'.length).toLowerCase());
       }
-    }
-  });
+      return accum;
+    }, []);
+}
 
-  if (tags.length === 0 || results.length > options.maxSummaryDocuments) {
-    tags.push(`${results.length} ${results.length === 1 ? 'result' : 'results'}`);
+/**
+ * Picks the query to run for the given entity.  Queries configured for one of the entity's types take precedence
+ * over the default `query` option.  Returns null if there is no query to run for the entity.
+ * @param entity
+ * @param options
+ * @returns {{queryKey: string, query: string}|null}
+ */
+function getQueryForEntity(entity, options) {
+  const matchingType = getEntityTypeCandidates(entity).find((type) => cachedEntityTypeQueries[type]);
+  if (matchingType) {
+    return {
+      queryKey: matchingType,
+      query: cachedEntityTypeQueries[matchingType]
+    };
   }
 
-  // Remove duplicate tags as final cleanup step
-  return [...new Set(tags)];
-}
+  if (typeof options.query === 'string' && options.query.trim().length > 0) {
+    return {
+      queryKey: DEFAULT_QUERY_KEY,
+      query: options.query
+    };
+  }
 
-async function doLookup(entities, options, cb) {
-  Logger.trace({ entities, options }, 'doLookup');
-  let lookupResults;
+  return null;
+}
+
+function createParameterValue(entityValue, type = 'string') {
+  const escapedValue = escapeEntityValue(entityValue);
+
+  switch (type.toLowerCase()) {
+    case 'integer':
+    case 'int':
+    case 'bigint':
+      const intValue = parseInt(entityValue, 10);
+      if (isNaN(intValue)) {
+        throw new Error(`Cannot convert "${entityValue}" to integer type`);
+      }
+      return String(intValue);
+
+    case 'decimal':
+    case 'double':
+    case 'float':
+    case 'real':
+      const floatValue = parseFloat(entityValue);
+      if (isNaN(floatValue)) {
+        throw new Error(`Cannot convert "${entityValue}" to numeric type`);
+      }
+      return String(floatValue);
+
+    case 'boolean':
+    case 'bool':
+      const lowerValue = entityValue.toLowerCase();
+      if (lowerValue === 'true' || lowerValue === '1') {
+        return 'true';
+      } else if (lowerValue === 'false' || lowerValue === '0') {
+        return 'false';
+      } else {
+        throw new Error(`Cannot convert "${entityValue}" to boolean type`);
+      }
+
+    case 'date':
+      const dateValue = parseDateTimeValue(entityValue);
+      if (!dateValue) {
+        throw new Error(`Cannot convert "${entityValue}" to date type`);
+      }
+      return `DATE '${dateValue.toFormat('yyyy-MM-dd')}'`;
+
+    case 'timestamp':
+      const timestampValue = parseDateTimeValue(entityValue);
+      if (!timestampValue) {
+        throw new Error(`Cannot convert "${entityValue}" to timestamp type`);
+      }
+      return `TIMESTAMP '${timestampValue.toFormat(ATHENA_TIMESTAMP_FORMAT)}'`;
+
+    case 'string':
+    case 'varchar':
+    case 'char':
+    default:
+      return `'${escapedValue}'`;
+  }
+}
+
+/**
+ * Parses an ISO 8601 or Athena formatted (`yyyy-MM-dd HH:mm:ss.SSS`) date or timestamp.  Values without a
+ * time zone are treated as UTC.  Returns null if the value is not a valid date.
+ * @param value
+ * @returns {DateTime|null}
+ */
+function parseDateTimeValue(value) {
+  const trimmedValue = value.trim();
+  let dateTime = DateTime.fromISO(trimmedValue, { zone: 'utc' });
+  if (!dateTime.isValid) {
+    dateTime = DateTime.fromSQL(trimmedValue, { zone: 'utc' });
+  }
+  return dateTime.isValid ? dateTime.toUTC() : null;
+}
+
+/**
+ * Creates the query execution parameters for a single entity.  Returns null if one of the query's placeholder
+ * transforms cannot be applied to the entity value, in which case the entity is skipped.
+ * @param entity
+ * @param query
+ * @param options
+ * @param preparedStatement
+ * @returns {{QueryString: string, WorkGroup: string}|null}
+ */
+function createQuery(entity, query, options, preparedStatement = null) {
+  let queryString;
+
+  if (hasQueryPlaceholders(query)) {
+    // Use the prepared statement passed in (already ensured in doLookup)
+    if (!preparedStatement) {
+      throw new Error('Prepared statement required for parameterized queries');
+    }
+
+    // Get type hints that were extracted during prepared statement creation
+    const typeHints = preparedStatement.typeHints || [];
+    const parameterCount = typeHints.length;
+
+    // Create parameter list using type hints, each placeholder is bound to the value it names
+    const placeholderContext = createPlaceholderContext(options);
+    const parameters = [];
+    for (let i = 0; i < parameterCount; i++) {
+      const typeHint = typeHints[i];
+      // Statements prepared before named placeholders were supported have no name and bind the entity value
+      const placeholderName = typeHint.name || 'value';
+      let placeholderValue;
+      try {
+        placeholderValue = applyValueTransforms(
+          getPlaceholderValue(placeholderName, entity, placeholderContext),
+          typeHint.transforms
+        );
+      } catch (error) {
+        // The entity is skipped rather than failing the lookup, e.g. an `ip_to_int` transform of a domain
+        Logger.trace(
+          { entityValue: entity.value, placeholderName, transforms: typeHint.transforms, error: error.message },
+          'Skipping entity, placeholder value transform failed'
+        );
+        return null;
+      }
+      try {
+        const parameterValue = createParameterValue(placeholderValue, typeHint.type);
+        parameters.push(parameterValue);
+      } catch (error) {
+        Logger.error(
+          {
+            error: error.message,
+            entityValue: entity.value,
+            placeholderName,
+            placeholderValue,
+            expectedType: typeHint.type,
+            parameterIndex: i
+          },
+          'Failed to convert placeholder value to expected type'
+        );
+        throw new Error(`Parameter ${i + 1} (:${placeholderName}): ${error.message}`);
+      }
+    }
+
+    const parametersString = parameters.join(', ');
+
+    // Query has parameters, use EXECUTE with USING
+    queryString = `EXECUTE ${preparedStatement.statementName} USING ${parametersString}`;
+
+    Logger.trace(
+      {
+        parameterCount,
+        parameters: parametersString,
+        entityValue: entity.value,
+        typeHints,
+        query
+      },
+      'Created type-hinted parameterized query execution'
+    );
+  } else {
+    // Query has no parameters, execute the raw query directly
+    queryString = query;
+  }
+
+  return createQueryExecutionParams(queryString, options);
+}
+
+function createQueryExecutionParams(queryString, options) {
+  const queryParams = {
+    QueryString: queryString,
+    WorkGroup: getWorkGroup(options)
+  };
+
+  // Only specify ResultConfiguration if OutputLocation is provided
+  // If WorkGroup has default ResultConfiguration, it will be used automatically
+  if (options.outputLocation && options.outputLocation.trim().length > 0) {
+    queryParams.ResultConfiguration = {
+      OutputLocation: options.outputLocation
+    };
+  }
+
+  // Let Athena return the result of an identical query run within the maximum age instead of scanning again
+  if (options.enableResultReuse) {
+    queryParams.ResultReuseConfiguration = {
+      ResultReuseByAgeConfiguration: {
+        Enabled: true,
+        MaxAgeInMinutes: getNumberOption(options.resultReuseMaxAgeMinutes, DEFAULT_RESULT_REUSE_MAX_AGE_MINUTES)
+      }
+    };
+  }
+
+  return queryParams;
+}
+
+/**
+ * Returns true if the query contains a `?:list` placeholder in which case all entities in the lookup that use
+ * the query are searched with a single query execution.
+ * @param query
+ * @returns {boolean}
+ */
+function isBatchQuery(query) {
+  return /\?:list\b/i.test(query);
+}
+
+/**
+ * Returns an error message if the batched query uses placeholders other than `?:list` and the named placeholders
+ * that do not depend on the entity (e.g., `:start_time`), otherwise returns null.  Plain `?` placeholders and
+ * entity placeholders such as `:value` have no single entity to bind to when the query runs for the whole batch.
+ * @param query
+ * @returns {string|null}
+ */
+function getBatchQueryError(query) {
+  const invalidPlaceholder = getQueryPlaceholders(query).find(({ name, typeHint }) =>
+    name ? !NAMED_PLACEHOLDERS[name].batchable : !isListTypeHint(typeHint)
+  );
+  if (invalidPlaceholder) {
+    return `Batched queries only support the "?:list" placeholder and placeholders that do not depend on the entity (e.g., ":start_time") but found "${invalidPlaceholder.placeholder}"`;
+  }
+  return null;
+}
+
+function isListTypeHint(typeHint) {
+  return typeof typeHint === 'string' && typeHint.toLowerCase() === 'list';
+}
+
+/**
+ * Returns the `?:list` placeholders of a batched query
+ * @param query
+ * @returns {Array}
+ */
+function getListPlaceholders(query) {
+  return getQueryPlaceholders(query).filter(({ name, typeHint }) => !name && isListTypeHint(typeHint));
+}
+
+/**
+ * Creates the query execution parameters for a batched query.  Each `?:list` placeholder is expanded into one
+ * `?` per entity and the entity values are passed as Athena execution parameters so they are never
+ * interpolated into the query text.  The entities must have been filtered with `canTransformEntityValue` first.
+ * @param entities
+ * @param query
+ * @param options
+ * @returns {{QueryString: string, WorkGroup: string, ExecutionParameters: string[]}}
+ */
+function createBatchQuery(entities, query, options) {
+  const batchQueryError = getBatchQueryError(query);
+  if (batchQueryError) {
+    throw new Error(batchQueryError);
+  }
+
+  const placeholderContext = createPlaceholderContext(options);
+  const executionParameters = [];
+
+  const queryString = query.replace(PLACEHOLDER_REGEX, (...match) => {
+    const { name, typeHint, listType, transforms } = parsePlaceholderMatch(match);
+    if (name) {
+      executionParameters.push(
+        createParameterValue(
+          applyValueTransforms(getPlaceholderValue(name, null, placeholderContext), transforms),
+          getPlaceholderType(name, typeHint)
+        )
+      );
+      return '?';
+    }
+    // Each `?:list` placeholder can transform the entity values differently and bind them as its own type
+    executionParameters.push(
+      ...entities.map((entity) =>
+        createParameterValue(applyValueTransforms(entity.value, transforms), listType || 'string')
+      )
+    );
+    return entities.map(() => '?').join(', ');
+  });
+
+  const queryParams = createQueryExecutionParams(queryString, options);
+  queryParams.ExecutionParameters = executionParameters;
+
+  Logger.trace(
+    {
+      entityCount: entities.length,
+      parameterCount: executionParameters.length,
+      query
+    },
+    'Created batched query execution'
+  );
+
+  return queryParams;
+}
+
+/**
+ * Splits the entities of a batched query into chunks that bind at most `MAX_BATCH_VALUES` entity values.  Every
+ * `?:list` placeholder binds each entity value once.
+ * @param entities
+ * @param query
+ * @returns {Array<Array>}
+ */
+function getBatchEntityChunks(entities, query) {
+  const chunkSize = Math.max(1, Math.floor(MAX_BATCH_VALUES / Math.max(1, getListPlaceholders(query).length)));
+  const chunks = [];
+  for (let index = 0; index < entities.length; index += chunkSize) {
+    chunks.push(entities.slice(index, index + chunkSize));
+  }
+  return chunks;
+}
+
+/**
+ * Returns true if a completed batched query has more rows than the "Query Result Limit".  The limit applies to the
+ * batch as a whole so the rows of an entity may not have been fetched yet.
+ * @param queryResult
+ * @returns {boolean}
+ */
+function isTruncatedBatchResult(queryResult) {
+  return queryResult.batched === true && queryResult.complete === true && !!queryResult.nextToken;
+}
+
+/**
+ * Returns the values the "Batch Match Column" of a batched query can hold for the entity: the entity value and the
+ * value bound by each `?:list` placeholder after its transforms (e.g., the integer of an IP for
+ * `?:list|ip_to_int`).  The entity must have been filtered with `canTransformEntityValue` first.
+ * @param entityValue
+ * @param listPlaceholders
+ * @returns {Array<string>}
+ */
+function getBatchMatchValues(entityValue, listPlaceholders) {
+  const matchValues = [entityValue].concat(
+    listPlaceholders.map(({ transforms }) => applyValueTransforms(entityValue, transforms))
+  );
+  return [...new Set(matchValues)];
+}
+
+/**
+ * Returns the match values sent by the block for a batched query result.  Results from before the match values
+ * were sent only match the entity value.
+ * @param message
+ * @returns {Array<string>}
+ */
+function getMessageBatchMatchValues(message) {
+  return Array.isArray(message.batchMatchValues) && message.batchMatchValues.length > 0
+    ? message.batchMatchValues
+    : [message.entityValue];
+}
+
+/**
+ * Returns the query result of a batched query for a single entity.  Only completed queries have rows to split,
+ * running and cancelled queries are shared as-is by every entity in the batch.
+ * @param queryResult
+ * @param matchValues
+ * @param options
+ * @returns {Object}
+ */
+function getBatchQueryResultForEntity(queryResult, matchValues, options) {
+  return {
+    ...queryResult,
+    batched: true,
+    batchMatchValues: matchValues,
+    results:
+      queryResult.complete && !queryResult.cancelled
+        ? getBatchResultsForEntity(queryResult.results, matchValues, options)
+        : queryResult.results
+  };
+}
+
+function normalizeBatchMatchValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * Returns the rows of a batched query that belong to the given entity by comparing the configured
+ * "Batch Match Column" to the entity's match values (case-insensitive).
+ * @param results
+ * @param matchValues
+ * @param options
+ * @returns {Array}
+ */
+function getBatchResultsForEntity(results, matchValues, options) {
+  const normalizedMatchValues = matchValues.map(normalizeBatchMatchValue);
+  return results.filter((result) =>
+    normalizedMatchValues.includes(normalizeBatchMatchValue(get(result, options.batchMatchColumn.trim())))
+  );
+}
+
+async function executeAthenaQuery(athenaClient, queryParams, options, retryMissingStatement = true) {
+  // Start query execution
+  const startCommand = new StartQueryExecutionCommand(queryParams);
+  let startResult;
+
+  try {
+    startResult = await athenaClient.send(startCommand);
+  } catch (error) {
+    // Athena rejects an EXECUTE of a prepared statement that no longer exists
+    if (
+      retryMissingStatement &&
+      error.name === 'InvalidRequestException' &&
+      (await recreateMissingPreparedStatement(queryParams.QueryString, queryParams.WorkGroup))
+    ) {
+      return executeAthenaQuery(athenaClient, queryParams, options, false);
+    }
+
+    // Handle specific S3 bucket errors with better messaging
+    if (error.name === 'InvalidRequestException' && error.message && error.message.includes('output bucket')) {
+      recordQueryStartFailed();
+      const bucketMatch = error.message.match(/bucket ([^\s]+)/);
+      const bucketName = bucketMatch ? bucketMatch[1] : 'unknown';
+
+      throw new Error(
+        `S3 output bucket error: ${error.message}. Please ensure the bucket '${bucketName}' exists and the IAM user has s3:PutObject and s3:GetBucketLocation permissions, or configure a WorkGroup with a default output location.`
+      );
+    }
+
+    // For other errors, create a clean error object without circular references
+    recordQueryStartFailed();
+    throw new Error(`Failed to start Athena query: ${error.message || error.name || 'Unknown error'}`);
+  }
+
+  const queryExecutionId = startResult.QueryExecutionId;
+  Logger.trace({ queryExecutionId }, 'Started Athena query execution');
+  recordQueryStarted();
+
+  // Wait for query to complete with timeout
+  const { maxWaitMs, initialIntervalMs, backoffFactor } = getPollingOptions(options);
+  const pollingStartTime = Date.now();
+  let waitInterval = initialIntervalMs;
+  let queryStatus = QUERY_STATUS.RUNNING;
+  let attempts = 0;
+  let statusResult = null;
+
+  while (queryStatus === QUERY_STATUS.RUNNING || queryStatus === QUERY_STATUS.QUEUED) {
+    const waitedMs = Date.now() - pollingStartTime;
+    if (waitedMs >= maxWaitMs) {
+      Logger.trace(
+        {
+          queryExecutionId,
+          attempts,
+          waitedMs
+        },
+        'Query execution timeout reached, returning queryExecutionId for later polling'
+      );
+
+      // Extract partial execution stats for running queries
+      return {
+        results: undefined,
+        complete: false,
+        queryExecutionId: queryExecutionId,
+        executionStats: getRunningQueryStats(statusResult?.QueryExecution || {}, QUERY_STATUS.RUNNING)
+      };
+    }
+
+    // Never wait past the polling budget
+    await new Promise((resolve) => setTimeout(resolve, Math.min(waitInterval, maxWaitMs - waitedMs)));
+    waitInterval = Math.min(waitInterval * backoffFactor, MAX_POLLING_WAIT_INTERVAL);
+
+    const statusCommand = new GetQueryExecutionCommand({ QueryExecutionId: queryExecutionId });
+    statusResult = await athenaClient.send(statusCommand);
+    queryStatus = statusResult.QueryExecution.Status.State;
+
+    Logger.trace({ queryStatus, attempts, queryExecutionId }, 'Athena query status check');
+    attempts++;
+
+    // Stop runaway queries as soon as they scan more than the configured limit
+    if (queryStatus === QUERY_STATUS.RUNNING && exceedsScanLimit(statusResult.QueryExecution, options)) {
+      return abortQueryExecution({ QueryExecutionId: queryExecutionId, ...statusResult.QueryExecution }, options);
+    }
+  }
+
+  // The query is no longer running so record what it scanned in the daily usage
+  recordQueryFinished({ QueryExecutionId: queryExecutionId, ...statusResult.QueryExecution });
+
+  if (queryStatus === QUERY_STATUS.FAILED) {
+    // Athena can also accept the query and fail it once it finds the prepared statement is missing
+    if (
+      retryMissingStatement &&
+      (await recreateMissingPreparedStatement(queryParams.QueryString, queryParams.WorkGroup))
+    ) {
+      return executeAthenaQuery(athenaClient, queryParams, options, false);
+    }
+    throw new Error(`Query failed: ${statusResult.QueryExecution.Status.StateChangeReason}`);
+  }
+
+  if (queryStatus === QUERY_STATUS.CANCELLED) {
+    return getCancelledQueryResult({ QueryExecutionId: queryExecutionId, ...statusResult.QueryExecution });
+  }
+
+  // Extract execution statistics from Athena
+  const executionStats = statusResult.QueryExecution.Statistics || {};
+  const queryStats = getCompletedQueryStats(statusResult.QueryExecution);
+
+  Logger.trace({ queryStats, executionStats }, 'Athena query execution statistics');
+
+  // Get query results
+  const { results, nextToken } = await getQueryResults(queryExecutionId, options);
+
+  return {
+    results: results,
+    complete: true,
+    queryExecutionId: queryExecutionId,
+    executionStats: queryStats,
+    nextToken: nextToken
+  };
+}
+
+function getNumberOption(value, defaultValue) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : defaultValue;
+}
+
+/**
+ * Returns the polling budget for waiting on a query from the polling options.  Options that have not been set
+ * fall back to their defaults.
+ * @param options
+ * @returns {{maxWaitMs: number, initialIntervalMs: number, backoffFactor: number}}
+ */
+function getPollingOptions(options) {
+  return {
+    maxWaitMs: Math.max(0, getNumberOption(options.maxQueryWaitSeconds, DEFAULT_MAX_QUERY_WAIT_SECONDS)) * 1000,
+    initialIntervalMs: Math.max(
+      1,
+      getNumberOption(options.initialPollingIntervalMs, DEFAULT_INITIAL_POLLING_INTERVAL_MS)
+    ),
+    backoffFactor: Math.max(1, getNumberOption(options.pollingBackoffFactor, DEFAULT_POLLING_BACKOFF_FACTOR))
+  };
+}
+
+/**
+ * Returns the execution statistics of a query that is no longer running.
+ * @param queryExecution
+ * @returns {Object}
+ */
+function getCompletedQueryStats(queryExecution) {
+  const executionStats = queryExecution.Statistics || {};
+
+  // Calculate runtime information
+  const submissionTime = queryExecution.Status?.SubmissionDateTime;
+  const completionTime = queryExecution.Status?.CompletionDateTime;
+  let runtimeMs = null;
+  let runtimeSeconds = null;
+
+  if (submissionTime && completionTime) {
+    runtimeMs = new Date(completionTime) - new Date(submissionTime);
+    runtimeSeconds = (runtimeMs / 1000).toFixed(3);
+  }
+
+  // Athena provides execution time in milliseconds in Statistics.EngineExecutionTimeInMillis
+  const athenaRuntimeMs = executionStats.EngineExecutionTimeInMillis || null;
+  const athenaRuntimeSeconds = athenaRuntimeMs ? (athenaRuntimeMs / 1000).toFixed(3) : null;
+
+  return {
+    runtimeMs: athenaRuntimeMs || runtimeMs,
+    runtimeSeconds: athenaRuntimeSeconds || runtimeSeconds,
+    dataScannedBytes: executionStats.DataScannedInBytes || null,
+    dataProcessedBytes: executionStats.DataProcessedInBytes || null,
+    queryQueueTimeMs: executionStats.QueryQueueTimeInMillis || null,
+    queryPlanningTimeMs: executionStats.QueryPlanningTimeInMillis || null,
+    serviceProcessingTimeMs: executionStats.ServiceProcessingTimeInMillis || null,
+    resultReused: get(executionStats, 'ResultReuseInformation.ReusedPreviousResult', false) === true,
+    outputLocation: get(queryExecution, 'ResultConfiguration.OutputLocation', null)
+  };
+}
+
+/**
+ * Returns the partial execution statistics of a query that is still queued or running.
+ * @param queryExecution
+ * @param queryStatus
+ * @returns {Object}
+ */
+function getRunningQueryStats(queryExecution, queryStatus) {
+  const partialStats = queryExecution.Statistics || {};
+  const submissionTime = queryExecution.Status?.SubmissionDateTime;
+
+  // Use helper function to calculate elapsed time
+  const { elapsedMs, elapsedSeconds } = calculateElapsedTime(submissionTime);
+
+  return {
+    runtimeMs: null, // Not available until completion
+    runtimeSeconds: null,
+    elapsedMs: elapsedMs,
+    elapsedSeconds: elapsedSeconds,
+    dataScannedBytes: partialStats.DataScannedInBytes || null,
+    outputLocation: get(queryExecution, 'ResultConfiguration.OutputLocation', null),
+    status: queryStatus
+  };
+}
+
+/**
+ * Returns the query result of a cancelled query.  Cancelled queries have no results but still report the
+ * statistics gathered before the query was stopped.
+ * @param queryExecution
+ * @returns {{results: Array, complete: boolean, cancelled: boolean, queryExecutionId, executionStats}}
+ */
+function getCancelledQueryResult(queryExecution) {
+  return {
+    results: [],
+    complete: true,
+    cancelled: true,
+    queryExecutionId: queryExecution.QueryExecutionId,
+    executionStats: {
+      ...getCompletedQueryStats(queryExecution),
+      status: QUERY_STATUS.CANCELLED,
+      stateChangeReason: queryExecution.Status?.StateChangeReason || null
+    }
+  };
+}
+
+function getMaxScannedBytes(options) {
+  return Math.max(0, getNumberOption(options.maxScannedGigabytes, 0)) * BYTES_PER_GIGABYTE;
+}
+
+function exceedsScanLimit(queryExecution, options) {
+  const maxScannedBytes = getMaxScannedBytes(options);
+  const scannedBytes = get(queryExecution, 'Statistics.DataScannedInBytes', 0);
+  return maxScannedBytes > 0 && scannedBytes > maxScannedBytes;
+}
+
+function formatGigabytes(bytes) {
+  return `${+(bytes / BYTES_PER_GIGABYTE).toFixed(2)} GB`;
+}
+
+/**
+ * Stops a query that exceeded the "Maximum Scanned Data" option and returns it as a cancelled query result with
+ * the reason it was aborted.
+ * @param queryExecution
+ * @param options
+ * @returns {Promise<{results, complete, cancelled, aborted, queryExecutionId, executionStats}>}
+ */
+async function abortQueryExecution(queryExecution, options) {
+  const queryExecutionId = queryExecution.QueryExecutionId;
+  const scannedBytes = get(queryExecution, 'Statistics.DataScannedInBytes', 0);
+  const abortReason = `Query aborted: exceeded ${formatGigabytes(getMaxScannedBytes(options))} (scanned ${formatGigabytes(
+    scannedBytes
+  )})`;
+
+  Logger.warn({ queryExecutionId, scannedBytes, maxScannedGigabytes: options.maxScannedGigabytes }, abortReason);
+
+  const stopCommand = new StopQueryExecutionCommand({ QueryExecutionId: queryExecutionId });
+  await athenaClient.send(stopCommand);
+
+  // Record the aborted query with the bytes it scanned before it was stopped
+  recordQueryFinished({ ...queryExecution, Status: { ...queryExecution.Status, State: QUERY_STATUS.CANCELLED } });
+
+  const cancelledResult = getCancelledQueryResult(queryExecution);
+  return {
+    ...cancelledResult,
+    aborted: true,
+    executionStats: {
+      ...cancelledResult.executionStats,
+      stateChangeReason: abortReason
+    }
+  };
+}
+
+/**
+ * Returns the usage counters for the current UTC day, starting a new day of counters at midnight UTC.  Only the
+ * most recent days of usage are kept.
+ * @returns {Object}
+ */
+function getTodayUsage() {
+  const date = new Date().toISOString().slice(0, 10);
+
+  let usage = usageByDay.get(date);
+  if (!usage) {
+    usage = {
+      date,
+      queryCount: 0,
+      succeededCount: 0,
+      failedCount: 0,
+      cancelledCount: 0,
+      cacheHitCount: 0,
+      budgetExhaustedCount: 0,
+      bytesScanned: 0,
+      runtimeMs: 0
+    };
+    usageByDay.set(date, usage);
+    recordedQueryExecutionIds.clear();
+
+    while (usageByDay.size > USAGE_HISTORY_DAYS) {
+      usageByDay.delete(usageByDay.keys().next().value);
+    }
+  }
+
+  return usage;
+}
+
+function recordQueryStarted() {
+  getTodayUsage().queryCount++;
+}
+
+function recordQueryStartFailed() {
+  const usage = getTodayUsage();
+  usage.queryCount++;
+  usage.failedCount++;
+}
+
+/**
+ * Records the bytes scanned, runtime and final state of a query that is no longer running.  A query is only
+ * recorded once even if its status is checked again (e.g., by the block after it completed).
+ * @param queryExecution
+ */
+function recordQueryFinished(queryExecution) {
+  const queryExecutionId = queryExecution.QueryExecutionId;
+  if (recordedQueryExecutionIds.has(queryExecutionId)) {
+    return;
+  }
+  // Getting today's usage first clears the recorded IDs when the day rolls over
+  const usage = getTodayUsage();
+  recordedQueryExecutionIds.add(queryExecutionId);
+  if (recordedQueryExecutionIds.size > MAX_RECORDED_QUERY_EXECUTION_IDS) {
+    recordedQueryExecutionIds.delete(recordedQueryExecutionIds.values().next().value);
+  }
+
+  usage.bytesScanned += get(queryExecution, 'Statistics.DataScannedInBytes', 0) || 0;
+  usage.runtimeMs += getCompletedQueryStats(queryExecution).runtimeMs || 0;
+
+  switch (get(queryExecution, 'Status.State')) {
+    case QUERY_STATUS.SUCCEEDED:
+      usage.succeededCount++;
+      break;
+    case QUERY_STATUS.FAILED:
+      usage.failedCount++;
+      break;
+    case QUERY_STATUS.CANCELLED:
+      usage.cancelledCount++;
+      break;
+  }
+}
+
+function getDailyScanBudgetBytes(options) {
+  return Math.max(0, getNumberOption(options.dailyScanBudgetGigabytes, 0)) * BYTES_PER_GIGABYTE;
+}
+
+function isDailyScanBudgetExhausted(options) {
+  const dailyScanBudgetBytes = getDailyScanBudgetBytes(options);
+  return dailyScanBudgetBytes > 0 && getTodayUsage().bytesScanned >= dailyScanBudgetBytes;
+}
+
+/**
+ * Returns the usage counters for the GET_USAGE_STATS action.  The estimated cost of each day is based on the
+ * bytes scanned by every query the integration ran that day.
+ * @param options
+ * @returns {{today: Object, history: Array, dailyScanBudgetBytes: number|null, remainingBudgetBytes: number|null}}
+ */
+function getUsageStats(options) {
+  const addEstimatedCost = (usage) => ({
+    ...usage,
+    estimatedCost: +((usage.bytesScanned / BYTES_PER_TERABYTE) * getCostPerTerabyte(options)).toFixed(4)
+  });
+
+  const today = addEstimatedCost(getTodayUsage());
+  const dailyScanBudgetBytes = getDailyScanBudgetBytes(options);
+
+  return {
+    today,
+    history: [...usageByDay.values()].map(addEstimatedCost).reverse(),
+    dailyScanBudgetBytes: dailyScanBudgetBytes > 0 ? dailyScanBudgetBytes : null,
+    remainingBudgetBytes: dailyScanBudgetBytes > 0 ? Math.max(0, dailyScanBudgetBytes - today.bytesScanned) : null
+  };
+}
+
+function getCostPerTerabyte(options) {
+  return getNumberOption(options.costPerTerabyte, DEFAULT_COST_PER_TERABYTE);
+}
+
+/**
+ * Estimates the cost in US dollars of scanning the given number of bytes using the "Cost per TB Scanned" option.
+ * Returns null if nothing has been scanned yet.
+ * @param scannedBytes
+ * @param options
+ * @returns {number|null}
+ */
+function estimateQueryCost(scannedBytes, options) {
+  if (!scannedBytes) {
+    return null;
+  }
+
+  const billedBytes = Math.max(MINIMUM_BILLED_BYTES, Math.ceil(scannedBytes / BYTES_PER_MEGABYTE) * BYTES_PER_MEGABYTE);
+  return (billedBytes / BYTES_PER_TERABYTE) * getCostPerTerabyte(options);
+}
+
+/**
+ * Fetches up to `options.limit` result rows for the query execution, following `NextToken` across as many
+ * GetQueryResults pages as needed.  If `nextToken` is provided, fetching continues from that page instead of the
+ * beginning of the result set.  The returned `nextToken` is null once all rows have been fetched.
+ * @param queryExecutionId
+ * @param options
+ * @param nextToken
+ * @returns {Promise<{results: Array, nextToken: string|null}>}
+ */
+async function getQueryResults(queryExecutionId, options, nextToken = null) {
+  const maxRows = options.limit || 100;
+  const results = [];
+  let headers = null;
+  let columnTypes = null;
+  let pageToken = nextToken;
+  let isFirstPage = !nextToken;
+
+  do {
+    // The first page of results includes the header row which should not count against the limit
+    const headerRowCount = isFirstPage ? 1 : 0;
+    const resultsCommand = new GetQueryResultsCommand({
+      QueryExecutionId: queryExecutionId,
+      MaxResults: Math.min(MAX_RESULTS_PER_PAGE, maxRows - results.length + headerRowCount),
+      NextToken: pageToken || undefined
+    });
+    const resultsResponse = await athenaClient.send(resultsCommand);
+
+    Logger.trace({ resultSetMetadata: resultsResponse.ResultSet.ResultSetMetadata }, 'Athena query results metadata');
+
+    let rows = resultsResponse.ResultSet.Rows || [];
+
+    // Column types are used to decode the string values Athena returns into native JSON values
+    if (!columnTypes) {
+      const columnInfo = get(resultsResponse, 'ResultSet.ResultSetMetadata.ColumnInfo', []);
+      columnTypes = options.decodeColumnTypes === false ? [] : columnInfo.map((column) => column.Type);
+    }
+
+    if (isFirstPage) {
+      // First row contains column headers
+      if (rows.length > 0) {
+        headers = rows[0].Data.map((col) => col.VarCharValue);
+      }
+      rows = rows.slice(1);
+    } else if (!headers) {
+      // Later pages have no header row so use the column names from the result set metadata
+      const columnInfo = get(resultsResponse, 'ResultSet.ResultSetMetadata.ColumnInfo', []);
+      headers = columnInfo.map((column) => column.Name);
+    }
+
+    // Convert Athena rows to JSON format
+    rows.forEach((row) => {
+      const obj = {};
+      row.Data.forEach((col, index) => {
+        obj[headers[index]] = decodeColumnValue(col.VarCharValue, columnTypes[index]);
+      });
+      results.push(obj);
+    });
+
+    pageToken = resultsResponse.NextToken || null;
+    isFirstPage = false;
+  } while (pageToken && results.length < maxRows);
+
+  Logger.trace({ queryExecutionId, rowCount: results.length, hasMore: !!pageToken }, 'Fetched Athena query results');
+
+  return {
+    results,
+    nextToken: pageToken
+  };
+}
+
+/**
+ * Converts the string value Athena returns for a cell into a native value based on the column type from
+ * `ResultSetMetadata.ColumnInfo`.  Numbers and booleans become JS numbers and booleans, timestamps become ISO 8601
+ * strings and array, map and row (struct) values are parsed into arrays and objects.  Values that cannot be decoded
+ * are returned as the original string.
+ * @param value
+ * @param columnType
+ * @returns {*}
+ */
+function decodeColumnValue(value, columnType) {
+  if (value === undefined || value === null || typeof columnType !== 'string') {
+    return value;
+  }
+
+  // Strip any precision from the type name (e.g., `timestamp(3)` or `decimal(10,2)`)
+  const type = columnType
+    .toLowerCase()
+    .replace(/\(.*?\)/g, '')
+    .trim();
+
+  try {
+    switch (type) {
+      case 'tinyint':
+      case 'smallint':
+      case 'integer':
+      case 'int':
+      case 'bigint':
+        const intValue = Number(value);
+        // Integers that cannot be represented exactly are left as strings to avoid losing precision
+        return Number.isSafeInteger(intValue) ? intValue : value;
+      case 'double':
+      case 'float':
+      case 'real':
+        const floatValue = Number(value);
+        return Number.isFinite(floatValue) ? floatValue : value;
+      case 'decimal':
+        const decimalValue = Number(value);
+        // Decimals that cannot be represented exactly are left as strings to avoid losing precision
+        return Number.isFinite(decimalValue) && String(decimalValue) === normalizeDecimalString(value)
+          ? decimalValue
+          : value;
+      case 'boolean':
+        if (value === 'true') {
+          return true;
+        } else if (value === 'false') {
+          return false;
+        }
+        return value;
+      case 'timestamp':
+      case 'timestamp with time zone':
+        const timestamp = DateTime.fromSQL(value, { zone: 'utc' });
+        return timestamp.isValid ? timestamp.toISO() : value;
+      case 'array':
+      case 'map':
+      case 'row':
+        return parseComplexValue(value);
+      case 'json':
+        return JSON.parse(value);
+      default:
+        return value;
+    }
+  } catch (error) {
+    Logger.trace({ value, columnType, error }, 'Error decoding column value, returning original value');
+    return value;
+  }
+}
+
+/**
+ * Normalizes a decimal string the way `String(Number(value))` formats it, without leading zeros in the integer
+ * part, trailing zeros in the fraction or a sign on zero (e.g., `-007.50` to `-7.5`).  Returns null if the value is
+ * not a plain decimal.
+ * @param value
+ * @returns {string|null}
+ */
+function normalizeDecimalString(value) {
+  const match = value.trim().match(/^([+-]?)(\d*)(?:\.(\d*))?$/);
+  if (!match || (match[2].length === 0 && !match[3])) {
+    return null;
+  }
+  const integerPart = match[2].replace(/^0+(?=\d)/, '') || '0';
+  const fractionPart = (match[3] || '').replace(/0+$/, '');
+  const isZero = integerPart === '0' && fractionPart.length === 0;
+  return `${match[1] === '-' && !isZero ? '-' : ''}${integerPart}${fractionPart.length > 0 ? `.${fractionPart}` : ''}`;
+}
+
+/**
+ * Parses the text representation Athena uses for array, map and row values (e.g., `[1, 2]` or
+ * `{name=value, nested={a=1}}`) into arrays and objects.  Nested scalar values are returned as strings since
+ * Athena does not report the element types.  Throws an error if the value is not well formed.
+ * @param text
+ * @returns {Array|Object}
+ */
+function parseComplexValue(text) {
+  let index = 0;
+
+  const skipWhitespace = () => {
+    while (index < text.length && text[index] === ' ') {
+      index++;
+    }
+  };
+
+  const parseScalar = (terminators) => {
+    const start = index;
+    while (index < text.length && !terminators.includes(text[index])) {
+      index++;
+    }
+    const scalar = text.slice(start, index).trim();
+    return scalar === 'null' ? null : scalar;
+  };
+
+  const parseValue = (terminators) => {
+    skipWhitespace();
+    if (text[index] === '[') {
+      return parseList('[', ']', () => parseValue([',', ']']));
+    } else if (text[index] === '{') {
+      const obj = {};
+      parseList('{', '}', () => {
+        const key = parseScalar(['=', ',', '}']);
+        if (text[index] !== '=') {
+          throw new Error(`Expected "=" at position ${index}`);
+        }
+        index++;
+        obj[key] = parseValue([',', '}']);
+      });
+      return obj;
+    }
+    return parseScalar(terminators);
+  };
+
+  const parseList = (open, close, parseItem) => {
+    const items = [];
+    index++;
+    skipWhitespace();
+    if (text[index] === close) {
+      index++;
+      return items;
+    }
+    while (index < text.length) {
+      items.push(parseItem());
+      skipWhitespace();
+      if (text[index] === ',') {
+        index++;
+      } else if (text[index] === close) {
+        index++;
+        return items;
+      } else {
+        break;
+      }
+    }
+    throw new Error(`Expected "${close}" at position ${index}`);
+  };
+
+  const parsed = parseValue([]);
+  skipWhitespace();
+  if (index !== text.length || typeof parsed === 'string') {
+    throw new Error(`Unexpected character at position ${index}`);
+  }
+
+  return parsed;
+}
+
+function optionsHaveChanged(options) {
+  if (
+    originalOptions === null ||
+    originalOptions.region.value !== options.region.value ||
+    originalOptions.endpoint !== options.endpoint ||
+    originalOptions.accessKeyId !== options.accessKeyId ||
+    originalOptions.secretAccessKey !== options.secretAccessKey ||
+    getAuthenticationMethod(originalOptions) !== getAuthenticationMethod(options) ||
+    originalOptions.roleArn !== options.roleArn ||
+    originalOptions.roleExternalId !== options.roleExternalId ||
+    originalOptions.roleSessionName !== options.roleSessionName ||
+    originalOptions.proxyUrl !== options.proxyUrl ||
+    originalOptions.caBundlePath !== options.caBundlePath ||
+    originalOptions.rejectUnauthorized !== options.rejectUnauthorized
+  ) {
+    Logger.trace({ originalOptions, options }, 'Options have changed');
+    originalOptions = { ...options };
+    return true;
+  }
+  return false;
+}
+
+function summaryTagsOptionHasChanged(options) {
+  if (originalOptions.summaryTags !== options.summaryTags) {
+    originalOptions = options;
+    return true;
+  }
+
+  return false;
+}
+
+function errorToPojo(err, detail) {
+  if (err instanceof Error) {
+    // Create a clean error object without circular references
+    const cleanError = {
+      name: err.name,
+      message: err.message,
+      detail: detail || err.message || 'Unexpected error encountered'
+    };
+
+    // Only include stack trace if it exists and doesn't contain circular references
+    if (err.stack && typeof err.stack === 'string') {
+      cleanError.stack = err.stack;
+    }
+
+    // Handle AWS SDK specific error properties safely
+    if (err.$metadata) {
+      cleanError.requestId = err.$metadata.requestId;
+      cleanError.httpStatusCode = err.$metadata.httpStatusCode;
+    }
+
+    return cleanError;
+  }
+
+  // If it's not an Error object, return it as-is (but this shouldn't happen)
+  return err;
+}
+
+/**
+ * Converts an attribute value to a luxon DateTime using one of the `date-*` attribute parsers.  The returned
+ * DateTime is invalid if the value is not in the parser's format.
+ * @param attribute
+ * @param parser
+ * @returns {DateTime|null} null if the parser is not a date parser
+ */
+function getAttributeDateTime(attribute, parser) {
+  switch (parser) {
+    case 'date-iso':
+      return DateTime.fromISO(attribute);
+    case 'date-http':
+      return DateTime.fromHTTP(attribute);
+    case 'date-rfc2822':
+      return DateTime.fromRFC2822(attribute);
+    case 'date-sql':
+      // Timestamp columns are decoded to ISO strings so fall back to ISO parsing
+      const sqlDate = DateTime.fromSQL(attribute);
+      return sqlDate.isValid ? sqlDate : DateTime.fromISO(attribute);
+    case 'date-seconds':
+      return DateTime.fromSeconds(+attribute);
+    case 'date-millis':
+      return DateTime.fromMillis(+attribute);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Converts the attribute value for display by running it through the attribute types of its attribute
+ * specification in order (e.g., `date-iso|timezone(UTC)` or `json|truncate(200)`).  A type that cannot convert the
+ * value leaves it unchanged.  The `link` type does not change the value, see `getAttributeLink`.
+ * @param attribute
+ * @param parsers list of `{name, args}` attribute types returned by `parseAttributeParsers`
+ * @returns {*}
+ */
+function parseAttribute(attribute, parsers) {
+  // Handle null/undefined attributes
+  if (attribute === null || attribute === undefined) {
+    return '';
+  }
+
+  let value = attribute;
+  let date = null;
+  try {
+    for (const { name, args } of parsers || []) {
+      switch (name) {
+        case 'date-iso':
+        case 'date-http':
+        case 'date-rfc2822':
+        case 'date-sql':
+        case 'date-seconds':
+        case 'date-millis':
+          const parsedDate = getAttributeDateTime(value, name);
+          if (parsedDate.isValid) {
+            date = parsedDate;
+            value = date.toLocaleString(DateTime.DATETIME_SHORT);
+          }
+          break;
+        case 'timezone':
+          // Only dates converted by a preceding date type can be moved to another time zone
+          if (date) {
+            date = date.setZone(args[0]);
+            value = date.toLocaleString({ ...DateTime.DATETIME_SHORT, timeZoneName: 'short' });
+          }
+          break;
+        case 'number':
+          const number = toAttributeNumber(value);
+          if (number !== null) {
+            const decimals = args.length > 0 ? Number(args[0]) : undefined;
+            value = number.toLocaleString(
+              undefined,
+              decimals === undefined ? undefined : { minimumFractionDigits: decimals, maximumFractionDigits: decimals }
+            );
+          }
+          break;
+        case 'bytes':
+          const bytes = toAttributeNumber(value);
+          if (bytes !== null) {
+            value = formatBytes(bytes, args.length > 0 ? Number(args[0]) : 1);
+          }
+          break;
+        case 'percent':
+          // Values are ratios so 0.25 is displayed as 25%
+          const ratio = toAttributeNumber(value);
+          if (ratio !== null) {
+            value = `${+(ratio * 100).toFixed(args.length > 0 ? Number(args[0]) : 2)}%`;
+          }
+          break;
+        case 'json':
+          const json = typeof value === 'string' ? parseJsonAttribute(value) : value;
+          if (json !== null && typeof json === 'object') {
+            value = JSON.stringify(json, null, 2);
+          }
+          break;
+        case 'bool':
+          const boolValue = String(value).trim().toLowerCase();
+          if (BOOL_TRUE_VALUES.includes(boolValue)) {
+            value = args.length > 0 ? args[0] : 'Yes';
+          } else if (BOOL_FALSE_VALUES.includes(boolValue)) {
+            value = args.length > 1 ? args[1] : 'No';
+          }
+          break;
+        case 'truncate':
+          const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+          const maxLength = Number(args[0]);
+          value = text.length > maxLength ? `${text.slice(0, maxLength).trimEnd()}…` : text;
+          break;
+        default:
+          break;
+      }
+    }
+  } catch (error) {
+    Logger.trace({ attribute, parsers, error }, 'Error parsing attribute, returning original value');
+    value = attribute;
+  }
+
+  // Decoded array, map and row values are displayed as JSON
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+/**
+ * Returns the attribute value as a number or null if it is not numeric
+ * @param value
+ * @returns {number|null}
+ */
+function toAttributeNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === 'string' && value.trim().length > 0 && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  return null;
+}
+
+function formatBytes(bytes, decimals) {
+  let size = bytes;
+  let unitIndex = 0;
+  while (Math.abs(size) >= 1024 && unitIndex < BYTE_UNITS.length - 1) {
+    size /= 1024;
+    unitIndex++;
+  }
+  return `${unitIndex === 0 ? size : +size.toFixed(decimals)} ${BYTE_UNITS[unitIndex]}`;
+}
+
+function parseJsonAttribute(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Returns the URL of an attribute that uses the `link` type.  The URL is built from the type's template by
+ * replacing `{value}` with the URL encoded attribute value, or is the attribute value itself if there is no template.
+ * @param attribute
+ * @param parsers
+ * @returns {string|null} null if the attribute is not a link or the URL is not a valid http(s) URL
+ */
+function getAttributeLink(attribute, parsers) {
+  const linkParser = (parsers || []).find((parser) => parser.name === 'link');
+  if (!linkParser || attribute === null || attribute === undefined || typeof attribute === 'object') {
+    return null;
+  }
+
+  const url =
+    linkParser.args.length > 0 ? fillUrlTemplate(linkParser.args[0], { value: attribute }) : String(attribute).trim();
+  return isValidHttpUrl(url) ? url : null;
+}
+
+/**
+ * Takes the attribute option string which is a comma delimited list of attribute specifications and converts
+ * each specification into an object of the format:
+ * ```
+ * {
+ *     label: <attribute label>,
+ *     attribute: <attribute name>,
+ *     parser: <list of attribute types>
+ * }
+ * ```
+ * Each specification is `<attribute>`, `<label>:<attribute>` or `<label>:<types>:<attribute>`.  The label is the
+ * display label to be used for the attribute.  If no label is provided then the attribute name is used.
+ *
+ * The attribute is the "name" of the attribute
+ *
+ * The types are one or more attribute types separated by `|` used to convert the attribute value for display, see
+ * `parseAttribute`.
+ *
+ * Labels, attributes and type arguments that contain `,`, `:` or `|` can be wrapped in double quotes.  Invalid
+ * specifications are reported by `validateOptions` and skipped unless `throwOnInvalidSpec` is set.
+ * @param attributeOption
+ * @param throwOnInvalidSpec
+ * @returns {Array}
+ */
+function processAttributeOption(attributeOption, throwOnInvalidSpec = false) {
+  // Summary aggregates such as `top(column,3)` contain separators inside their parentheses
+  return splitOutsideParentheses(attributeOption, ',').reduce((fields, spec) => {
+    if (spec.trim().length === 0) {
+      return fields;
+    }
+
+    try {
+      fields.push(parseAttributeSpec(spec));
+    } catch (error) {
+      if (throwOnInvalidSpec) {
+        throw error;
+      }
+      Logger.trace({ spec, error }, 'Invalid attribute specification, skipping the attribute');
+    }
+    return fields;
+  }, []);
+}
+
+/**
+ * Parses a single attribute specification of an attribute option, see `processAttributeOption`
+ * @param spec
+ * @returns {{label, attribute, parser}}
+ */
+function parseAttributeSpec(spec) {
+  const tokens = splitOutsideParentheses(spec, ':', true);
+  if (tokens.length > 3) {
+    throw new Error(
+      `Invalid attribute "${spec.trim()}", expected "<attribute>", "<label>:<attribute>" or ` +
+        `"<label>:<type>:<attribute>".  Wrap labels and attributes that contain ":" in double quotes`
+    );
+  }
+
+  const attribute = unquoteAttributeToken(tokens[tokens.length - 1]);
+  if (attribute.length === 0) {
+    throw new Error(`Invalid attribute "${spec.trim()}", the attribute name is missing`);
+  }
+
+  return {
+    label: tokens.length === 1 ? attribute : unquoteAttributeToken(tokens[0]),
+    attribute,
+    parser: tokens.length === 3 && tokens[1].trim().length > 0 ? parseAttributeParsers(tokens[1]) : null
+  };
+}
+
+/**
+ * Parses the attribute types of an attribute specification, e.g. `date-iso|timezone(America/New_York)`.  Throws an
+ * error describing the problem if a type is unknown or has invalid arguments.
+ * @param parserSpec
+ * @returns {Array<{name, args}>}
+ */
+function parseAttributeParsers(parserSpec) {
+  const parsers = splitOutsideParentheses(parserSpec, '|', true).map((token) => {
+    const match = token.trim().match(ATTRIBUTE_PARSER_REGEX);
+    if (!match) {
+      throw new Error(`Invalid attribute type "${token.trim()}" in "${parserSpec.trim()}"`);
+    }
+
+    const name = match[1].toLowerCase();
+    const definition = ATTRIBUTE_PARSERS[name];
+    if (!definition) {
+      throw new Error(
+        `Unknown attribute type "${match[1]}", supported types are ${Object.keys(ATTRIBUTE_PARSERS).join(', ')}`
+      );
+    }
+
+    const args =
+      match[2] !== undefined && match[2].trim().length > 0
+        ? splitOutsideParentheses(match[2], ',').map(unquoteAttributeToken)
+        : [];
+    if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+      throw new Error(
+        definition.maxArgs === 0
+          ? `The "${name}" attribute type does not accept arguments but found "${token.trim()}"`
+          : `The "${name}" attribute type ${
+              definition.minArgs === definition.maxArgs ? 'requires' : 'accepts up to'
+            } ${definition.maxArgs} ${definition.maxArgs === 1 ? 'argument' : 'arguments'} but found "${token.trim()}"`
+      );
+    }
+
+    validateAttributeParserArgs(name, args, token.trim());
+    return { name, args };
+  });
+
+  parsers.forEach((parser, index) => {
+    if (
+      parser.name === 'timezone' &&
+      !parsers.slice(0, index).some((previousParser) => DATE_PARSERS.includes(previousParser.name))
+    ) {
+      throw new Error(`The "timezone" attribute type must follow a date type, e.g. "date-iso|timezone(UTC)"`);
+    }
+  });
+
+  return parsers;
+}
+
+function validateAttributeParserArgs(name, args, token) {
+  switch (name) {
+    case 'number':
+    case 'bytes':
+    case 'percent':
+      if (args.length > 0) {
+        const decimals = Number(args[0]);
+        if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_ATTRIBUTE_DECIMALS) {
+          throw new Error(
+            `The "${name}" attribute type decimals must be an integer from 0 to ${MAX_ATTRIBUTE_DECIMALS} but found "${token}"`
+          );
+        }
+      }
+      break;
+    case 'truncate':
+      const maxLength = Number(args[0]);
+      if (!Number.isInteger(maxLength) || maxLength < 1) {
+        throw new Error(`The "truncate" attribute type length must be a positive integer but found "${token}"`);
+      }
+      break;
+    case 'timezone':
+      if (!DateTime.local().setZone(args[0]).isValid) {
+        throw new Error(
+          `Unknown time zone "${args[0]}" in "${token}", use an IANA time zone such as "America/New_York"`
+        );
+      }
+      break;
+    case 'link':
+      if (args.length > 0 && !isValidHttpUrl(fillUrlTemplate(args[0], { value: 'value' }))) {
+        throw new Error(`The "link" attribute type template must be an http or https URL but found "${token}"`);
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Trims the token and removes the double quotes around it, a backslash escapes the next character inside quotes
+ * @param token
+ * @returns {string}
+ */
+function unquoteAttributeToken(token) {
+  const trimmed = token.trim();
+  if (trimmed.length >= 2 && trimmed.startsWith('"') && trimmed.endsWith('"')) {
+    return trimmed.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return trimmed;
+}
+
+/**
+ * Splits the value on the separator, ignoring separators inside parentheses and double quoted strings.  A
+ * backslash escapes the next character inside a double quoted string.
+ * @param value
+ * @param separator
+ * @param throwOnUnbalanced throw an error if a double quote is not terminated or the parentheses are unbalanced
+ * @returns {string[]}
+ */
+function splitOutsideParentheses(value, separator, throwOnUnbalanced = false) {
+  const parts = [];
+  let depth = 0;
+  let inQuotes = false;
+  let escaped = false;
+  let part = '';
+  for (const char of value) {
+    if (escaped) {
+      escaped = false;
+    } else if (inQuotes) {
+      if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inQuotes = false;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      if (depth === 0 && throwOnUnbalanced) {
+        throw new Error(`Unbalanced parentheses in "${value.trim()}"`);
+      }
+      depth = Math.max(0, depth - 1);
+    } else if (char === separator && depth === 0) {
+      parts.push(part);
+      part = '';
+      continue;
+    }
+
+    part += char;
+  }
+
+  if (throwOnUnbalanced && inQuotes) {
+    throw new Error(`Unterminated double quote in "${value.trim()}"`);
+  }
+  if (throwOnUnbalanced && depth > 0) {
+    throw new Error(`Unbalanced parentheses in "${value.trim()}"`);
+  }
+  parts.push(part);
+  return parts;
+}
+
+/**
+ * Processes the "Summary Attributes" option.  In addition to plain attributes, summary attributes can be aggregates
+ * computed over every result such as `count`, `distinct(column)`, `min(column:date-iso)`, `max(column)` and
+ * `top(column,3)`.  Invalid aggregates are reported by `validateOptions` and treated as plain attributes unless
+ * `throwOnInvalidSpec` is set.
+ * @param summaryAttributesOption
+ * @param throwOnInvalidSpec
+ * @returns {Array}
+ */
+function processSummaryAttributeOption(summaryAttributesOption, throwOnInvalidSpec = false) {
+  return processAttributeOption(summaryAttributesOption, throwOnInvalidSpec).map((attributeObj) => {
+    let aggregate = null;
+    try {
+      aggregate = parseSummaryAggregate(attributeObj.attribute);
+    } catch (error) {
+      if (throwOnInvalidSpec) {
+        throw error;
+      }
+      Logger.trace({ attributeObj, error }, 'Invalid summary aggregate, treating it as an attribute');
+    }
+    return { ...attributeObj, aggregate };
+  });
+}
+
+/**
+ * Parses a summary aggregate expression
+ * @param attribute
+ * @returns {{name, column, parser, count}|null} null if the attribute is not an aggregate
+ */
+function parseSummaryAggregate(attribute) {
+  if (attribute.toLowerCase() === 'count') {
+    return { name: 'count', column: null, parser: null, count: null };
+  }
+
+  const match = attribute.match(SUMMARY_AGGREGATE_REGEX);
+  if (!match) {
+    return null;
+  }
+
+  const name = match[1].toLowerCase();
+  const aggregate = SUMMARY_AGGREGATES[name];
+  if (!aggregate) {
+    throw new Error(
+      `Unknown summary aggregate "${match[1]}" in "${attribute}", supported aggregates are ${Object.keys(
+        SUMMARY_AGGREGATES
+      ).join(', ')}`
+    );
+  }
+
+  const args = match[2].trim().length > 0 ? splitOutsideParentheses(match[2], ',').map((arg) => arg.trim()) : [];
+  if (!aggregate.acceptsColumn) {
+    if (args.length > 0) {
+      throw new Error(`The "${name}" summary aggregate does not accept arguments but found "${attribute}"`);
+    }
+    return { name, column: null, parser: null, count: null };
+  }
+
+  if (args.length === 0 || args[0].length === 0) {
+    throw new Error(`The "${name}" summary aggregate requires a column but found "${attribute}"`);
+  }
+  if (args.length > (aggregate.acceptsCount ? 2 : 1)) {
+    throw new Error(`Too many arguments for the "${name}" summary aggregate in "${attribute}"`);
+  }
+
+  // The column can be followed by attribute types, e.g. `max(eventtime:date-iso|timezone(UTC))`
+  const [column, parserSpec] = splitOutsideParentheses(args[0], ':', true);
+
+  let count = null;
+  if (aggregate.acceptsCount) {
+    count = args.length === 2 ? Number(args[1]) : DEFAULT_TOP_AGGREGATE_COUNT;
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`The "${name}" summary aggregate count must be a positive integer but found "${attribute}"`);
+    }
+  }
+
+  return {
+    name,
+    column: unquoteAttributeToken(column),
+    parser: parserSpec && parserSpec.trim().length > 0 ? parseAttributeParsers(parserSpec) : null,
+    count
+  };
+}
+
+/**
+ * Returns a value that sorts the attribute value by its type.  Dates are sorted by time, numbers numerically and
+ * any other value as a string.
+ * @param value
+ * @param parsers
+ * @returns {number|string}
+ */
+function getComparableValue(value, parsers) {
+  const dateParser = (parsers || []).find((parser) => DATE_PARSERS.includes(parser.name));
+  try {
+    const date = dateParser ? getAttributeDateTime(value, dateParser.name) : null;
+    if (date && date.isValid) {
+      return date.toMillis();
+    }
+  } catch (error) {
+    // Values the date parser cannot handle are compared as they are
+  }
+
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim().length > 0 && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function compareValues(a, b) {
+  // Numbers sort before strings when a column mixes both
+  if (typeof a !== typeof b) {
+    return typeof a === 'number' ? -1 : 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Computes the summary tag of an aggregate summary attribute over every result
+ * @param attributeObj
+ * @param results
+ * @returns {string|null} null if the aggregated column has no values
+ */
+function getAggregateSummaryTag(attributeObj, results) {
+  const { name, column, count } = attributeObj.aggregate;
+  const parser = attributeObj.aggregate.parser || attributeObj.parser;
+  const values = column
+    ? results
+        .map((result) => get(result, column))
+        .filter((value) => value !== undefined && value !== null && value !== '')
+    : [];
+  // Attributes without a label use the attribute as their label
+  const hasLabel = attributeObj.label && attributeObj.label !== attributeObj.attribute;
+
+  let value;
+  let defaultTag;
+  if (name === 'count') {
+    value = results.length;
+    defaultTag = `${results.length} ${results.length === 1 ? 'result' : 'results'}`;
+  } else if (name === 'distinct') {
+    value = new Set(values.map((columnValue) => getComparableValue(columnValue, parser))).size;
+    defaultTag = `${value} distinct ${column}`;
+  } else if (values.length === 0) {
+    return null;
+  } else if (name === 'min' || name === 'max') {
+    const sortedValues = values
+      .map((columnValue) => ({ columnValue, comparableValue: getComparableValue(columnValue, parser) }))
+      .sort((a, b) => compareValues(a.comparableValue, b.comparableValue));
+    const { columnValue } = name === 'min' ? sortedValues[0] : sortedValues[sortedValues.length - 1];
+    value = parseAttribute(columnValue, parser);
+    defaultTag = `${name === 'min' ? 'Min' : 'Max'} ${column}: ${value}`;
+  } else if (name === 'top') {
+    const counts = new Map();
+    values.forEach((columnValue) => {
+      const displayValue = parseAttribute(columnValue, parser);
+      counts.set(displayValue, (counts.get(displayValue) || 0) + 1);
+    });
+    value = [...counts]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, count)
+      .map(([displayValue, valueCount]) => `${displayValue} (${valueCount})`)
+      .join(', ');
+    defaultTag = `Top ${column}: ${value}`;
+  }
+
+  return hasLabel ? `${attributeObj.label}: ${value}` : defaultTag;
+}
+
+function getDocumentTitle(result, documentTitleAttributes = cachedDocumentTitleAttributes) {
+  // Use cached document title attributes if available
+  if (!documentTitleAttributes || documentTitleAttributes.length === 0) {
+    return null;
+  }
+
+  const attributeObj = documentTitleAttributes[0];
+  const attributeValue = get(result, attributeObj.attribute);
+  const parsedValue = parseAttribute(attributeValue, attributeObj.parser);
+  if (attributeObj.label) {
+    return `${attributeObj.label}: ${parsedValue}`;
+  } else {
+    return parsedValue;
+  }
+}
+
+function getDetailDocument(result, detailAttributes) {
+  const document = [];
+  detailAttributes.forEach((attributeObj) => {
+    const attributeValue = get(result, attributeObj.attribute);
+    if (attributeValue !== undefined && attributeValue !== null && attributeValue !== '') {
+      const attribute = {
+        key: attributeObj.label,
+        value: parseAttribute(attributeValue, attributeObj.parser),
+        // Lets the table view sort numbers and dates by value instead of by their displayed text
+        sortValue: getComparableValue(attributeValue, attributeObj.parser)
+      };
+
+      const link = getAttributeLink(attributeValue, attributeObj.parser);
+      if (link) {
+        attribute.link = link;
+      }
+      // Pretty printed JSON keeps its line breaks when displayed
+      if ((attributeObj.parser || []).some((parser) => parser.name === 'json')) {
+        attribute.preformatted = true;
+      }
+
+      // Pivot queries run on the raw column value so only scalar values can be pivoted on
+      const pivots = getPivotNamesForColumn(attributeObj.attribute);
+      if (pivots.length > 0 && typeof attributeValue !== 'object') {
+        attribute.pivots = pivots;
+        attribute.pivotValue = String(attributeValue);
+      }
+
+      document.push(attribute);
+    }
+  });
+  return document;
+}
+
+/**
+ * Create resultAsString by concatenating all attribute values with spaces.  Used by the block to filter results.
+ * @param document
+ * @returns {string}
+ */
+function getDocumentAsString(document) {
+  // Handle nested JSON values by converting objects/arrays to searchable strings
+  return document
+    .map((attr) => {
+      const value = attr.value;
+      if (typeof value === 'object' && value !== null) {
+        // For objects/arrays, convert to JSON string for filtering
+        return JSON.stringify(value).toLowerCase();
+      }
+      // For primitive values, return as-is
+      return String(value).toLowerCase();
+    })
+    .join(' ');
+}
+
+function getDetails(
+  results,
+  options,
+  complete = true,
+  queryExecutionId = null,
+  executionStats = null,
+  displayAttributes = getCachedDisplayAttributes()
+) {
+  // If no detail attributes are cached then we just display the
+  // whatever Athena returns using the JSON viewer
+  if (!displayAttributes.detailAttributes || displayAttributes.detailAttributes.length === 0) {
+    return {
+      showAsJson: true,
+      results,
+      complete: complete,
+      queryExecutionId: queryExecutionId,
+      executionStats: executionStats
+    };
+  }
+
+  const details = [];
+  // Use cached detail attributes instead of processing them again
+  const detailAttributes = displayAttributes.detailAttributes;
+
+  const timelineAttribute = displayAttributes.timelineAttribute;
+
+  results.forEach((result) => {
+    const document = getDetailDocument(result, detailAttributes);
+
+    if (document.length > 0) {
+      details.push({
+        title: getDocumentTitle(result, displayAttributes.documentTitleAttributes),
+        attributes: document,
+        resultAsString: getDocumentAsString(document),
+        // Lets the block filter the results to the time range of a timeline bucket
+        ...(timelineAttribute ? { timestamp: getTimelineTimestamp(result, timelineAttribute) } : {})
+      });
+    }
+  });
+
+  return {
+    showAsJson: false,
+    results: details,
+    // Columns of the table view in the order of the detail attributes
+    columns: [...new Set(detailAttributes.map((attributeObj) => attributeObj.label))],
+    defaultResultView: getDefaultResultView(options),
+    timeline: timelineAttribute ? getTimeline(details, options.loadedTimeline) : null,
+    complete: complete,
+    queryExecutionId: queryExecutionId,
+    executionStats: executionStats
+  };
+}
+
+function getDefaultResultView(options) {
+  return options.defaultResultView && options.defaultResultView.value === RESULT_VIEW.TABLE
+    ? RESULT_VIEW.TABLE
+    : RESULT_VIEW.CARDS;
+}
+
+function getSummaryTags(results, options, displayAttributes = getCachedDisplayAttributes(), resultsLabel = null) {
+  const tags = [];
+  // Query panels prefix the result count with their name so counts of different queries can be told apart
+  const resultCountTag = `${resultsLabel ? `${resultsLabel}: ` : ''}${results.length} ${
+    results.length === 1 ? 'result' : 'results'
+  }`;
+
+  // Check if cached summary attributes are available
+  if (!displayAttributes.summaryAttributes || displayAttributes.summaryAttributes.length === 0) {
+    // No summary attributes configured, just return result count
+    tags.push(resultCountTag);
+    return tags;
+  }
+
+  // Use cached summary attributes instead of processing them again
+  const summaryAttributes = displayAttributes.summaryAttributes;
+
+  summaryAttributes.forEach((attributeObj) => {
+    // Aggregates are computed once over every result instead of per document
+    if (attributeObj.aggregate) {
+      const tag = getAggregateSummaryTag(attributeObj, results);
+      if (tag !== null) {
+        tags.push(tag);
+      }
+      return;
+    }
+
+    for (let i = 0; i < options.maxSummaryDocuments && i < results.length; i++) {
+      const result = results[i];
+      const tag = get(result, attributeObj.attribute);
+      if (tag !== undefined && tag !== null && tag !== '') {
+        if (attributeObj.label) {
+          tags.push(`${attributeObj.label}: ${parseAttribute(tag, attributeObj.parser)}`);
+        } else {
+          tags.push(parseAttribute(tag, attributeObj.parser));
+        }
+      }
+    }
+  });
+
+  // A `count` aggregate already shows the number of results
+  const hasCountAggregate = summaryAttributes.some(
+    (attributeObj) => attributeObj.aggregate && attributeObj.aggregate.name === 'count'
+  );
+  if (!hasCountAggregate && (tags.length === 0 || results.length > options.maxSummaryDocuments)) {
+    tags.push(resultCountTag);
+  }
+
+  // Remove duplicate tags as final cleanup step
+  return [...new Set(tags)];
+}
+
+function getResultCacheKey(queryParams, processedQuery, options) {
+  return JSON.stringify({
+    query: processedQuery,
+    queryString: queryParams.QueryString,
+    parameters: queryParams.ExecutionParameters || [],
+    workGroup: queryParams.WorkGroup,
+    region: options.region.value,
+    limit: options.limit,
+    // Results are cached after their values are decoded so toggling the option must not serve the old values
+    decodeColumnTypes: options.decodeColumnTypes !== false
+  });
+}
+
+function getCachedQueryResult(cacheKey, options) {
+  const cacheEntry = resultCache.get(cacheKey);
+  if (!cacheEntry) {
+    return null;
+  }
+
+  if (Date.now() - cacheEntry.cachedAt > options.resultCacheTtlMinutes * 60 * 1000) {
+    resultCache.delete(cacheKey);
+    return null;
+  }
+
+  // Re-insert the entry so it becomes the most recently used
+  resultCache.delete(cacheKey);
+  resultCache.set(cacheKey, cacheEntry);
+
+  return {
+    ...cacheEntry.queryResult,
+    executionStats: {
+      ...cacheEntry.queryResult.executionStats,
+      cached: true,
+      cachedAt: new Date(cacheEntry.cachedAt).toISOString()
+    }
+  };
+}
+
+function setCachedQueryResult(cacheKey, queryResult, options) {
+  if (!(options.resultCacheTtlMinutes > 0) || !(options.resultCacheMaxSize > 0)) {
+    return;
+  }
+
+  resultCache.delete(cacheKey);
+  resultCache.set(cacheKey, { queryResult, cachedAt: Date.now() });
+
+  // Evict the least recently used entries once the cache is over its maximum size
+  while (resultCache.size > options.resultCacheMaxSize) {
+    resultCache.delete(resultCache.keys().next().value);
+  }
+}
+
+/**
+ * Runs the query through the result cache.  Completed results are served from the cache until they are older than
+ * the "Result Cache TTL" option.  When `bypassCache` is true the query is always executed and the cache is
+ * refreshed with the new result.
+ * @param queryParams
+ * @param processedQuery
+ * @param options
+ * @param bypassCache
+ * @returns {Promise<{results, complete, queryExecutionId, executionStats}>}
+ */
+async function executeCachedAthenaQuery(queryParams, processedQuery, options, bypassCache = false) {
+  const cacheKey = getResultCacheKey(queryParams, processedQuery, options);
+
+  if (!bypassCache && options.resultCacheTtlMinutes > 0) {
+    const cachedResult = getCachedQueryResult(cacheKey, options);
+    if (cachedResult) {
+      Logger.trace({ queryExecutionId: cachedResult.queryExecutionId }, 'Returning cached Athena query result');
+      getTodayUsage().cacheHitCount++;
+      return cachedResult;
+    }
+  }
+
+  // Cached results cost nothing so they are still returned once the daily budget is used up
+  if (isDailyScanBudgetExhausted(options)) {
+    Logger.trace({ usage: getTodayUsage() }, 'Daily scan budget exhausted, skipping query');
+    getTodayUsage().budgetExhaustedCount++;
+    return {
+      results: [],
+      complete: true,
+      budgetExhausted: true,
+      queryExecutionId: null,
+      executionStats: null
+    };
+  }
+
+  const queryResult = await executeAthenaQuery(athenaClient, queryParams, options);
+
+  // Only completed queries are cached, running queries are polled through CHECK_QUERY_STATUS
+  if (queryResult.complete && !queryResult.cancelled) {
+    setCachedQueryResult(cacheKey, queryResult, options);
+  }
+
+  return queryResult;
+}
+
+/**
+ * Runs the query for a single entity.  If the entity's prepared statement was deleted from Athena (e.g., by another
+ * integration instance cleaning up), `executeAthenaQuery` re-creates the statement and runs the query again.
+ * @param entity
+ * @param entityQuery
+ * @param preparedStatement
+ * @param options
+ * @param bypassCache
+ * @returns {Promise<Object>}
+ */
+async function runEntityQuery(entity, entityQuery, preparedStatement, options, bypassCache = false) {
+  const queryParams = createQuery(entity, entityQuery.query, options, preparedStatement);
+  if (!queryParams) {
+    return getSkippedQueryResult();
+  }
+  Logger.trace({ queryParams, queryKey: entityQuery.queryKey }, 'Athena SQL query parameters');
+
+  const processedQuery = preparedStatement ? preparedStatement.processedQuery : entityQuery.query;
+  const queryResult = await executeCachedAthenaQuery(queryParams, processedQuery, options, bypassCache);
+  Logger.trace({ queryResult }, 'Athena Query Result Object');
+
+  return {
+    ...queryResult,
+    lookbackWindow: getLookbackWindowDetails(entityQuery.query, options)
+  };
+}
+
+/**
+ * Runs a batched query once for all of the given entities and splits the returned rows back into a query result
+ * per entity.
+ * @param entities
+ * @param queryKey
+ * @param query
+ * @param options
+ * @param bypassCache
+ * @returns {Promise<Array<{entity, queryResult}>>}
+ */
+async function runBatchQuery(entities, queryKey, query, options, bypassCache = false) {
+  // Entities whose value cannot be transformed are left out of the batch instead of failing it
+  const listPlaceholders = getListPlaceholders(query);
+  const skippedEntities = entities.filter((entity) => !canTransformEntityValue(entity, listPlaceholders));
+  const skippedResults = skippedEntities.map((entity) => ({ entity, queryResult: getSkippedQueryResult() }));
+
+  entities = entities.filter((entity) => !skippedEntities.includes(entity));
+  if (entities.length === 0) {
+    return skippedResults;
+  }
+
+  const queryParams = createBatchQuery(entities, query, options);
+  Logger.trace({ queryParams, queryKey }, 'Athena batched SQL query parameters');
+
+  const queryResult = await executeCachedAthenaQuery(queryParams, queryParams.QueryString, options, bypassCache);
+  Logger.trace({ queryResult }, 'Athena Batched Query Result Object');
+
+  const lookbackWindow = getLookbackWindowDetails(query, options);
+  // Cancelling the shared query stops it for every entity in the batch so the block names them before cancelling
+  const batchEntityValues = entities.map((entity) => entity.value);
+
+  // Every entity in the batch shares a running query, its results are split when the status is checked
+  return entities
+    .map((entity) => ({
+      entity,
+      queryResult: getBatchQueryResultForEntity(
+        { ...queryResult, lookbackWindow, batchEntityValues },
+        getBatchMatchValues(entity.value, listPlaceholders),
+        options
+      )
+    }))
+    .concat(skippedResults);
+}
+
+/**
+ * Query result returned for an entity that was skipped because a placeholder transform could not be applied to
+ * its value.  Skipped entities have no results.
+ * @returns {{results: Array, complete: boolean, skipped: boolean, queryExecutionId: null, executionStats: null}}
+ */
+function getSkippedQueryResult() {
+  return {
+    results: [],
+    complete: true,
+    skipped: true,
+    queryExecutionId: null,
+    executionStats: null
+  };
+}
+
+/**
+ * Re-runs the query for a single entity bypassing the result cache.  Used by the REFRESH_RESULTS action which
+ * can also pass a different lookback window in the options.
+ * @param entity
+ * @param options
+ * @returns {Promise<{results, complete, queryExecutionId, executionStats}>}
+ */
+async function refreshEntityQuery(entity, options) {
+  setCachedEntityTypeQueries(options);
+
+  const entityQuery = getQueryForEntity(entity, options);
+  if (!entityQuery) {
+    throw new Error(`No query is configured for entity type "${entity.type}"`);
+  }
+
+  if (isBatchQuery(entityQuery.query)) {
+    const [{ queryResult }] = await runBatchQuery([entity], entityQuery.queryKey, entityQuery.query, options, true);
+    return queryResult;
+  }
+
+  const preparedStatement = hasQueryPlaceholders(entityQuery.query)
+    ? await ensurePreparedStatement(entityQuery.queryKey, entityQuery.query, options)
+    : null;
+
+  return runEntityQuery(entity, entityQuery, preparedStatement, options, true);
+}
+
+function initializeAthenaClientIfNeeded(options) {
+  if (optionsHaveChanged(options) || athenaClient === null) {
+    try {
+      athenaClient = initializeAthenaClient(options);
+    } catch (error) {
+      // The options are already recorded as the current options so the client is created again on the next call
+      // rather than reusing the client created from the previous options
+      athenaClient = null;
+      throw error;
+    }
+
+    // Reset prepared statement variables when options change
+    // The existing prepared statements will remain in Athena and can be reused
+    preparedStatements.clear();
+    createdPreparedStatements.clear();
+    lastPreparedStatementQueryOptions = null;
+
+    // Cached results may have been produced with different credentials so they are no longer valid
+    resultCache.clear();
+  }
+}
+
+function getLookupResult(entity, queryResult, options, panelResults = []) {
+  if (!queryResult.complete || queryResult.cancelled || queryResult.budgetExhausted) {
+    // Query is still running, return queryExecutionId for later polling
+    Logger.trace({ queryExecutionId: queryResult.queryExecutionId }, 'Query still running, returning execution ID');
+
+    // Use the same formatting logic as onMessage
+    const formattedResult = formatLookupResult(queryResult, panelResults, options);
+
+    return {
+      entity,
+      data: formattedResult
+    };
+  }
+
+  // The entity is still shown when only one of the query panels has something to show
+  const panelsHaveResults = panelResults.some(
+    ({ queryResult: panelQueryResult }) => !isEmptyQueryResult(panelQueryResult)
+  );
+
+  if (isEmptyQueryResult(queryResult) && !panelsHaveResults) {
+    return {
+      entity,
+      data: null
+    };
+  } else {
+    Logger.trace({ results: queryResult.results }, 'JSON Results from Athena');
+
+    // Use the same formatting logic as onMessage
+    const formattedResult = formatLookupResult(queryResult, panelResults, options);
+
+    return {
+      entity,
+      data: formattedResult
+    };
+  }
+}
+
+async function doLookup(entities, options, cb) {
+  Logger.trace({ entities, options }, 'doLookup');
+  let lookupResults;
 
   if (originalOptions === null) {
     originalOptions = { ...options };
   }
 
-  if (optionsHaveChanged(options) || athenaClient === null) {
-    athenaClient = initializeAthenaClient(options);
+  // Process and cache attributes once at the beginning of doLookup
+  setCachedDisplayAttributes(options);
+
+  try {
+    // Creating the client reads the CA bundle which can fail so it must be inside the try to always call the callback
+    initializeAthenaClientIfNeeded(options);
+
+    setCachedEntityTypeQueries(options);
+    setCachedQueryPanels(options);
+    setCachedPivotQueries(options);
+
+    await deleteStalePreparedStatements(options);
+
+    // Pick the query for each entity based on its type
+    const entityQueries = entities.map((entity) => ({ entity, entityQuery: getQueryForEntity(entity, options) }));
+
+    // Ensure each parameterized query has a prepared statement once per doLookup call, not per entity
+    // Batched queries are executed directly with execution parameters and do not use a prepared statement
+    const preparedStatementsByKey = {};
+    for (const { entityQuery } of entityQueries) {
+      if (
+        entityQuery &&
+        hasQueryPlaceholders(entityQuery.query) &&
+        !isBatchQuery(entityQuery.query) &&
+        !preparedStatementsByKey[entityQuery.queryKey]
+      ) {
+        preparedStatementsByKey[entityQuery.queryKey] = await ensurePreparedStatement(
+          entityQuery.queryKey,
+          entityQuery.query,
+          options
+        );
+      }
+    }
+
+    // Query panels run for every entity so their prepared statements are also ensured once up front
+    for (const panel of cachedQueryPanels) {
+      if (hasQueryPlaceholders(panel.query)) {
+        await ensurePreparedStatement(panel.queryKey, panel.query, options);
+      }
+    }
+
+    // Group entities that use a batched query so each batched query runs once for the whole lookup
+    const batchedEntitiesByKey = {};
+    const searchTasks = [];
+
+    entityQueries.forEach(({ entity, entityQuery }) => {
+      if (entityQuery && isBatchQuery(entityQuery.query)) {
+        if (!batchedEntitiesByKey[entityQuery.queryKey]) {
+          batchedEntitiesByKey[entityQuery.queryKey] = { query: entityQuery.query, entities: [] };
+        }
+        batchedEntitiesByKey[entityQuery.queryKey].entities.push(entity);
+        return;
+      }
+
+      searchTasks.push(async () => {
+        if (!entityQuery) {
+          Logger.trace({ entity }, 'No query configured for entity type, skipping entity');
+          return {
+            entity,
+            queryResult: null
+          };
+        }
+
+        const queryResult = await runEntityQuery(
+          entity,
+          entityQuery,
+          preparedStatementsByKey[entityQuery.queryKey],
+          options
+        );
+
+        return { entity, queryResult };
+      });
+    });
+
+    Object.keys(batchedEntitiesByKey).forEach((queryKey) => {
+      const { query, entities: batchedEntities } = batchedEntitiesByKey[queryKey];
+      getBatchEntityChunks(batchedEntities, query).forEach((entityChunk) => {
+        searchTasks.push(async () => runBatchQuery(entityChunk, queryKey, query, options));
+      });
+    });
+
+    // Query panels run concurrently with the main queries and are merged into each entity's result below
+    const panelResultsByEntity = new Map();
+    if (cachedQueryPanels.length > 0) {
+      entities.forEach((entity) => {
+        searchTasks.push(async () => {
+          panelResultsByEntity.set(entity, await runQueryPanels(entity, options));
+          return [];
+        });
+      });
+    }
+
+    // Batched tasks return an array of query results so flatten them back into one result per entity
+    lookupResults = (await async.parallelLimit(searchTasks, 10)).flat().map(({ entity, queryResult }) => {
+      const panelResults = panelResultsByEntity.get(entity) || [];
+      if (!queryResult && panelResults.length === 0) {
+        return {
+          entity,
+          data: null
+        };
+      }
+
+      // Entities without a main query are still shown when one of the query panels has results
+      return getLookupResult(entity, queryResult || getSkippedQueryResult(), options, panelResults);
+    });
+  } catch (lookupError) {
+    Logger.error(lookupError, 'doLookup error');
+    return cb(errorToPojo(lookupError, 'Error running Athena SQL query'));
+  }
+
+  Logger.trace({ lookupResults }, 'lookup results');
 
-    // Reset prepared statement variables when options change
-    // The existing prepared statement will remain in Athena and can be reused
-    currentPreparedStatement = null;
-    currentQuery = null;
+  cb(null, lookupResults);
+}
+
+async function onMessage(message, options, cb) {
+  Logger.trace({ message }, 'Received message');
+
+  if (message.action === 'CHECK_QUERY_STATUS') {
+    try {
+      const queryExecutionId = message.queryExecutionId;
+
+      if (!queryExecutionId) {
+        return cb({
+          error: 'Missing queryExecutionId in message'
+        });
+      }
+
+      Logger.trace({ queryExecutionId }, 'Checking query status');
+
+      // Initialize Athena client if needed - check if we need a new client first
+      initializeAthenaClientIfNeeded(options);
+
+      // Process and cache attributes for result formatting
+      setCachedDisplayAttributes(options);
+
+      // Check query status and get results - reuse helper function
+      let queryResult = await checkQueryStatusAndGetResults(queryExecutionId, options);
+
+      // Batched queries return rows for every entity in the batch so only keep the rows for this entity
+      if (message.batched) {
+        queryResult = getBatchQueryResultForEntity(queryResult, getMessageBatchMatchValues(message), options);
+      }
+
+      // Format results using the same logic as doLookup - reuse helper function.  Query panels are formatted with
+      // their own display attributes.
+      const responseData = message.panelName
+        ? formatPanelResult(getQueryPanel(message.panelName, options), queryResult, options)
+        : formatQueryResult(queryResult, options);
+
+      Logger.trace({ responseData }, 'Returning query status check results');
+      cb(null, responseData);
+    } catch (error) {
+      Logger.error({ error }, 'Error checking query status');
+      cb(errorToPojo(error, 'Error checking Athena query status'));
+    }
+  } else if (message.action === 'STOP_QUERY') {
+    try {
+      const queryExecutionId = message.queryExecutionId;
+
+      if (!queryExecutionId) {
+        return cb({
+          error: 'Missing queryExecutionId in message'
+        });
+      }
+
+      Logger.trace({ queryExecutionId }, 'Stopping query');
+
+      initializeAthenaClientIfNeeded(options);
+      setCachedDisplayAttributes(options);
+
+      let queryResult = await stopQueryExecution(queryExecutionId, options);
+
+      // The query may have finished before it could be stopped in which case only keep this entity's rows
+      if (message.batched) {
+        queryResult = getBatchQueryResultForEntity(queryResult, getMessageBatchMatchValues(message), options);
+      }
+
+      const responseData = message.panelName
+        ? formatPanelResult(getQueryPanel(message.panelName, options), queryResult, options)
+        : formatQueryResult(queryResult, options);
+
+      Logger.trace({ responseData }, 'Returning stopped query results');
+      cb(null, responseData);
+    } catch (error) {
+      Logger.error({ error }, 'Error stopping query');
+      cb(errorToPojo(error, 'Error stopping Athena query'));
+    }
+  } else if (message.action === 'RUN_PIVOT') {
+    try {
+      const { pivotName, value, queryExecutionId } = message;
+
+      if (!pivotName || value === undefined || value === null) {
+        return cb({
+          error: 'Missing pivotName or value in message'
+        });
+      }
+
+      initializeAthenaClientIfNeeded(options);
+      setCachedPivotQueries(options);
+
+      // A pivot query that is still running is polled by sending its queryExecutionId
+      let queryResult;
+      if (queryExecutionId) {
+        Logger.trace({ pivotName, queryExecutionId }, 'Checking pivot query status');
+        queryResult = await checkQueryStatusAndGetResults(queryExecutionId, options);
+      } else {
+        Logger.trace({ pivotName, value }, 'Running pivot query');
+        queryResult = await runPivotQuery(pivotName, value, options);
+      }
+
+      const responseData = formatPivotResult(pivotName, value, queryResult, options);
+
+      Logger.trace({ responseData }, 'Returning pivot query results');
+      cb(null, responseData);
+    } catch (error) {
+      Logger.error({ error }, 'Error running pivot query');
+      cb(errorToPojo(error, 'Error running Athena pivot query'));
+    }
+  } else if (message.action === 'EXPORT_RESULTS') {
+    try {
+      const { queryExecutionId, format } = message;
+
+      if (!queryExecutionId) {
+        return cb({
+          error: 'Missing queryExecutionId in message'
+        });
+      }
+
+      if (!Object.values(EXPORT_FORMAT).includes(format)) {
+        return cb({
+          error: `Unsupported export format "${format}"`
+        });
+      }
+
+      Logger.trace({ queryExecutionId, format }, 'Exporting query results');
+
+      initializeAthenaClientIfNeeded(options);
+      setCachedDisplayAttributes(options);
+
+      const exportResult = await exportQueryResults(
+        queryExecutionId,
+        {
+          format,
+          filterValue: message.filterValue,
+          timelineFilter:
+            message.timelineFilter &&
+            Number.isFinite(message.timelineFilter.start) &&
+            Number.isFinite(message.timelineFilter.end)
+              ? { start: message.timelineFilter.start, end: message.timelineFilter.end }
+              : null,
+          includeAllResults: message.includeAllResults === true,
+          batched: message.batched === true,
+          batchMatchValues: getMessageBatchMatchValues(message)
+        },
+        options
+      );
+
+      Logger.trace({ rowCount: exportResult.rowCount, truncated: exportResult.truncated }, 'Exported query results');
+      cb(null, exportResult);
+    } catch (error) {
+      Logger.error({ error }, 'Error exporting query results');
+      cb(errorToPojo(error, 'Error exporting Athena query results'));
+    }
+  } else if (message.action === 'GET_USAGE_STATS') {
+    const usageStats = getUsageStats(options);
+    Logger.trace({ usageStats }, 'Returning usage stats');
+    cb(null, usageStats);
+  } else if (message.action === 'LOAD_MORE_RESULTS') {
+    try {
+      const { queryExecutionId, nextToken } = message;
+
+      if (!queryExecutionId || !nextToken) {
+        return cb({
+          error: 'Missing queryExecutionId or nextToken in message'
+        });
+      }
+
+      Logger.trace({ queryExecutionId }, 'Loading more query results');
+
+      initializeAthenaClientIfNeeded(options);
+      setCachedDisplayAttributes(options);
+
+      const queryResults = await getQueryResults(queryExecutionId, options, nextToken);
+
+      // Batched queries return rows for every entity in the batch so only keep the rows for this entity
+      const results = message.batched
+        ? getBatchResultsForEntity(queryResults.results, getMessageBatchMatchValues(message), options)
+        : queryResults.results;
+
+      // The timeline is built over the results already shown and the next page so the block can replace its timeline
+      const loadedTimeline = {
+        bucketSizeMs: isTimelineBucketSize(message.timelineBucketSizeMs) ? message.timelineBucketSizeMs : null,
+        timestamps: Array.isArray(message.timelineTimestamps)
+          ? message.timelineTimestamps.filter((timestamp) => Number.isFinite(timestamp))
+          : [],
+        missingCount:
+          Number.isInteger(message.timelineMissingCount) && message.timelineMissingCount > 0
+            ? message.timelineMissingCount
+            : 0
+      };
+
+      const responseData = formatQueryResult(
+        {
+          results,
+          complete: true,
+          queryExecutionId,
+          executionStats: null,
+          nextToken: queryResults.nextToken,
+          batched: message.batched === true
+        },
+        { ...options, loadedTimeline }
+      );
+
+      Logger.trace({ responseData }, 'Returning next page of query results');
+      cb(null, responseData);
+    } catch (error) {
+      Logger.error({ error }, 'Error loading more query results');
+      cb(errorToPojo(error, 'Error loading more Athena query results'));
+    }
+  } else if (message.action === 'REFRESH_RESULTS') {
+    try {
+      const entity = message.entity;
+
+      if (!entity || typeof entity.value !== 'string') {
+        return cb({
+          error: 'Missing entity in message'
+        });
+      }
+
+      // The block can re-run the query with a wider lookback window than the one selected in the options
+      if (message.lookbackWindow && !LOOKBACK_WINDOWS.some(({ value }) => value === message.lookbackWindow)) {
+        return cb({
+          error: `Unknown lookback window "${message.lookbackWindow}"`
+        });
+      }
+
+      Logger.trace({ entity, lookbackWindow: message.lookbackWindow }, 'Refreshing query results');
+
+      initializeAthenaClientIfNeeded(options);
+      setCachedDisplayAttributes(options);
+      setCachedQueryPanels(options);
+
+      const refreshOptions = message.lookbackWindow
+        ? { ...options, lookbackWindow: { value: message.lookbackWindow } }
+        : options;
+      // The query panels are re-run together with the main query
+      const [queryResult, panelResults] = await Promise.all([
+        refreshEntityQuery(entity, refreshOptions),
+        runQueryPanels(entity, refreshOptions, true)
+      ]);
+      const responseData = formatLookupResult(queryResult, panelResults, options);
+
+      Logger.trace({ responseData }, 'Returning refreshed query results');
+      cb(null, responseData);
+    } catch (error) {
+      Logger.error({ error }, 'Error refreshing query results');
+      cb(errorToPojo(error, 'Error refreshing Athena query results'));
+    }
+  } else {
+    cb({ error: `Unknown action: ${message.action}` });
   }
+}
 
-  // Process and cache attributes once at the beginning of doLookup
-  setCachedDisplayAttributes(options);
+function isValidHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
 
-  // Ensure prepared statement exists once per doLookup call, not per entity
-  let preparedStatementName = null;
-  if (options.query.includes('?')) {
-    preparedStatementName = await ensurePreparedStatement(options.query, options);
+/**
+ * Checks that the CA bundle path is a readable PEM file containing at least one certificate
+ * @param caBundlePath
+ * @returns {string|null} the validation error message or null if the CA bundle can be used
+ */
+function getCaBundlePathError(caBundlePath) {
+  try {
+    if (!fs.statSync(caBundlePath).isFile()) {
+      return 'The CA Bundle Path must be the path to a PEM file but it is a directory or special file';
+    }
+    fs.accessSync(caBundlePath, fs.constants.R_OK);
+  } catch (error) {
+    return error.code === 'ENOENT'
+      ? 'The CA Bundle Path must be the path to a PEM file that exists on the Polarity Server'
+      : `The CA Bundle Path cannot be read by the Polarity Server: ${error.message}`;
+  }
+
+  try {
+    if (!fs.readFileSync(caBundlePath, 'utf8').includes('-----BEGIN CERTIFICATE-----')) {
+      return 'The CA Bundle Path must be a PEM file containing at least one "BEGIN CERTIFICATE" block';
+    }
+  } catch (error) {
+    return `The CA Bundle Path cannot be read by the Polarity Server: ${error.message}`;
   }
 
-  const searchTasks = entities.map((entity) => {
-    return async () => {
-      const queryParams = createQuery(entity, options, preparedStatementName);
-      Logger.trace({ queryParams }, 'Athena SQL query parameters');
+  return null;
+}
 
-      const queryResult = await executeAthenaQuery(athenaClient, queryParams, options);
-      Logger.trace({ queryResult }, 'Athena Query Result Object');
+function validateOptions(userOptions, cb) {
+  let errors = [];
 
-      if (!queryResult.complete) {
-        // Query is still running, return queryExecutionId for later polling
-        Logger.trace({ queryExecutionId: queryResult.queryExecutionId }, 'Query still running, returning execution ID');
+  const authenticationMethod = get(userOptions, 'authenticationMethod.value.value', AUTHENTICATION_METHOD.ACCESS_KEY);
+  const accessKeyIdIsEmpty =
+    typeof userOptions.accessKeyId.value !== 'string' ||
+    (typeof userOptions.accessKeyId.value === 'string' && userOptions.accessKeyId.value.trim().length === 0);
+  const secretAccessKeyIsEmpty =
+    typeof userOptions.secretAccessKey.value !== 'string' ||
+    (typeof userOptions.secretAccessKey.value === 'string' && userOptions.secretAccessKey.value.trim().length === 0);
+
+  if (authenticationMethod === AUTHENTICATION_METHOD.ACCESS_KEY) {
+    // Validate required accessKeyId field
+    if (accessKeyIdIsEmpty) {
+      errors.push({
+        key: 'accessKeyId',
+        message: 'You must provide a valid AWS Access Key ID'
+      });
+    }
 
-        // Use the same formatting logic as onMessage
-        const formattedResult = formatQueryResult(queryResult, options);
+    // Validate required secretAccessKey field
+    if (secretAccessKeyIsEmpty) {
+      errors.push({
+        key: 'secretAccessKey',
+        message: 'You must provide a valid AWS Secret Access Key'
+      });
+    }
+  } else if (authenticationMethod === AUTHENTICATION_METHOD.ASSUME_ROLE) {
+    // The access key is optional when assuming a role but the key id and secret must be provided together
+    if (accessKeyIdIsEmpty !== secretAccessKeyIsEmpty) {
+      errors.push({
+        key: accessKeyIdIsEmpty ? 'accessKeyId' : 'secretAccessKey',
+        message:
+          'The AWS Access Key ID and AWS Secret Access Key must be provided together, or both left blank to assume the role using the default credential provider chain'
+      });
+    }
 
-        return {
-          entity,
-          data: formattedResult
-        };
+    if (
+      typeof userOptions.roleArn.value !== 'string' ||
+      !/^arn:aws[a-z-]*:iam::\d{12}:role\/.+$/.test(userOptions.roleArn.value.trim())
+    ) {
+      errors.push({
+        key: 'roleArn',
+        message: 'You must provide a valid IAM Role ARN (e.g., "arn:aws:iam::123456789012:role/PolarityAthena")'
+      });
+    }
+
+    if (
+      typeof userOptions.roleSessionName.value === 'string' &&
+      userOptions.roleSessionName.value.trim().length > 0 &&
+      !/^[\w+=,.@-]{2,64}$/.test(userOptions.roleSessionName.value.trim())
+    ) {
+      errors.push({
+        key: 'roleSessionName',
+        message:
+          'The Role Session Name must be 2 to 64 characters and can only contain letters, numbers and the characters +=,.@_-'
+      });
+    }
+  }
+
+  // Validate the connection options
+  if (isNonEmptyString(userOptions.endpoint.value) && !isValidHttpUrl(userOptions.endpoint.value.trim())) {
+    errors.push({
+      key: 'endpoint',
+      message: 'The Athena Endpoint must be a valid http or https URL (e.g., "https://athena.us-east-1.amazonaws.com")'
+    });
+  }
+
+  if (isNonEmptyString(userOptions.proxyUrl.value) && !isValidHttpUrl(userOptions.proxyUrl.value.trim())) {
+    errors.push({
+      key: 'proxyUrl',
+      message: 'The HTTP Proxy URL must be a valid http or https URL (e.g., "http://proxy.example.com:8080")'
+    });
+  }
+
+  if (isNonEmptyString(userOptions.caBundlePath.value)) {
+    const caBundleError = getCaBundlePathError(userOptions.caBundlePath.value.trim());
+    if (caBundleError) {
+      errors.push({
+        key: 'caBundlePath',
+        message: caBundleError
+      });
+    }
+  }
+
+  // Validate the polling options
+  if (typeof userOptions.maxQueryWaitSeconds.value !== 'number' || userOptions.maxQueryWaitSeconds.value < 0) {
+    errors.push({
+      key: 'maxQueryWaitSeconds',
+      message: 'The Maximum Query Wait Time must be 0 or more seconds'
+    });
+  }
+
+  if (
+    typeof userOptions.initialPollingIntervalMs.value !== 'number' ||
+    userOptions.initialPollingIntervalMs.value < 1
+  ) {
+    errors.push({
+      key: 'initialPollingIntervalMs',
+      message: 'The Initial Polling Interval must be at least 1 millisecond'
+    });
+  }
+
+  if (typeof userOptions.pollingBackoffFactor.value !== 'number' || userOptions.pollingBackoffFactor.value < 1) {
+    errors.push({
+      key: 'pollingBackoffFactor',
+      message: 'The Polling Backoff Factor must be 1 or more'
+    });
+  }
+
+  // Validate the cost options
+  if (typeof userOptions.maxScannedGigabytes.value !== 'number' || userOptions.maxScannedGigabytes.value < 0) {
+    errors.push({
+      key: 'maxScannedGigabytes',
+      message: 'The Maximum Scanned Data must be 0 (no limit) or more gigabytes'
+    });
+  }
+
+  if (
+    typeof userOptions.dailyScanBudgetGigabytes.value !== 'number' ||
+    userOptions.dailyScanBudgetGigabytes.value < 0
+  ) {
+    errors.push({
+      key: 'dailyScanBudgetGigabytes',
+      message: 'The Daily Scan Budget must be 0 (no budget) or more gigabytes'
+    });
+  }
+
+  if (
+    userOptions.enableResultReuse.value &&
+    (typeof userOptions.resultReuseMaxAgeMinutes.value !== 'number' ||
+      userOptions.resultReuseMaxAgeMinutes.value < 1 ||
+      userOptions.resultReuseMaxAgeMinutes.value > MAX_RESULT_REUSE_MAX_AGE_MINUTES)
+  ) {
+    errors.push({
+      key: 'resultReuseMaxAgeMinutes',
+      message: `The Result Reuse Maximum Age must be between 1 and ${MAX_RESULT_REUSE_MAX_AGE_MINUTES} minutes`
+    });
+  }
+
+  ['athenaConsoleUrlTemplate', 's3ConsoleUrlTemplate'].forEach((key) => {
+    const template = userOptions[key].value;
+    if (isNonEmptyString(template) && !isValidHttpUrl(template.trim().replace(/\{(\w+)\}/g, 'x'))) {
+      errors.push({
+        key,
+        message: 'The URL template must be a valid http(s) URL'
+      });
+    }
+  });
+
+  if (typeof userOptions.maxExportRows.value !== 'number' || userOptions.maxExportRows.value < 1) {
+    errors.push({
+      key: 'maxExportRows',
+      message: 'The Maximum Export Rows must be 1 or more'
+    });
+  }
+
+  if (typeof userOptions.costPerTerabyte.value !== 'number' || userOptions.costPerTerabyte.value < 0) {
+    errors.push({
+      key: 'costPerTerabyte',
+      message: 'The Cost per TB Scanned must be 0 or more'
+    });
+  }
+
+  // Validate the entity type query map
+  let entityTypeQueries = {};
+  try {
+    entityTypeQueries = parseEntityTypeQueries(userOptions.entityTypeQueries.value);
+  } catch (parseError) {
+    errors.push({
+      key: 'entityTypeQueries',
+      message: `Invalid Entity Type Queries: ${parseError.message}`
+    });
+  }
+
+  // The default query is required unless at least one entity type query is configured
+  if (
+    Object.keys(entityTypeQueries).length === 0 &&
+    (typeof userOptions.query.value !== 'string' ||
+      (typeof userOptions.query.value === 'string' && userOptions.query.value.length === 0))
+  ) {
+    errors.push({
+      key: 'query',
+      message: 'You must provide a valid SQL Query'
+    });
+  }
+
+  // Validate the attribute specifications and summary aggregates
+  [
+    { key: 'documentTitleAttribute', name: 'Document Title Attribute', processOption: processAttributeOption },
+    { key: 'detailAttributes', name: 'Detail Attributes', processOption: processAttributeOption },
+    { key: 'summaryAttributes', name: 'Summary Attributes', processOption: processSummaryAttributeOption }
+  ].forEach(({ key, name, processOption }) => {
+    if (isNonEmptyString(userOptions[key].value)) {
+      try {
+        processOption(userOptions[key].value, true);
+      } catch (parseError) {
+        errors.push({
+          key,
+          message: `Invalid ${name}: ${parseError.message}`
+        });
       }
+    }
+  });
+
+  // Validate the timeline attribute
+  try {
+    parseTimelineAttributeOption(userOptions.timelineAttribute.value);
+  } catch (parseError) {
+    errors.push({
+      key: 'timelineAttribute',
+      message: `Invalid Timeline Attribute: ${parseError.message}`
+    });
+  }
+
+  // Validate the query panel list
+  let queryPanels = [];
+  try {
+    queryPanels = parseQueryPanels(userOptions.queryPanels.value);
+  } catch (parseError) {
+    errors.push({
+      key: 'queryPanels',
+      message: `Invalid Query Panels: ${parseError.message}`
+    });
+  }
+
+  // Validate the pivot query map
+  let pivotQueries = {};
+  try {
+    pivotQueries = parsePivotQueries(userOptions.pivotQueries.value);
+  } catch (parseError) {
+    errors.push({
+      key: 'pivotQueries',
+      message: `Invalid Pivot Queries: ${parseError.message}`
+    });
+  }
+
+  // Placeholder transforms must be given valid arguments.  Batched queries can only use the ?:list placeholder
+  // and need a match column to split the results by entity
+  const queriesToValidate = Object.keys(entityTypeQueries).map((entityType) => ({
+    key: 'entityTypeQueries',
+    query: entityTypeQueries[entityType]
+  }));
+  if (typeof userOptions.query.value === 'string') {
+    queriesToValidate.push({ key: 'query', query: userOptions.query.value });
+  }
+
+  queryPanels.forEach(({ query }) => {
+    const transformError = getTransformError(query);
+    if (transformError) {
+      errors.push({
+        key: 'queryPanels',
+        message: transformError
+      });
+    }
+  });
 
-      if (!Array.isArray(queryResult.results) || queryResult.results.length === 0) {
-        return {
-          entity,
-          data: null
-        };
-      } else {
-        Logger.trace({ results: queryResult.results }, 'JSON Results from Athena');
+  Object.values(pivotQueries).forEach(({ query }) => {
+    const transformError = getTransformError(query);
+    if (transformError) {
+      errors.push({
+        key: 'pivotQueries',
+        message: transformError
+      });
+    }
+  });
 
-        // Use the same formatting logic as onMessage
-        const formattedResult = formatQueryResult(queryResult, options);
+  queriesToValidate.forEach(({ key, query }) => {
+    const transformError = getTransformError(query);
+    if (transformError) {
+      errors.push({
+        key,
+        message: transformError
+      });
+    }
+  });
 
-        return {
-          entity,
-          data: formattedResult
-        };
-      }
-    };
+  const batchQueries = queriesToValidate.filter(({ query }) => isBatchQuery(query));
+  batchQueries.forEach(({ key, query }) => {
+    const batchQueryError = getBatchQueryError(query);
+    if (batchQueryError) {
+      errors.push({
+        key,
+        message: batchQueryError
+      });
+    }
   });
 
-  try {
-    lookupResults = await async.parallelLimit(searchTasks, 10);
-  } catch (lookupError) {
-    Logger.error(lookupError, 'doLookup error');
-    return cb(errorToPojo(lookupError, 'Error running Athena SQL query'));
+  if (
+    batchQueries.length > 0 &&
+    (typeof userOptions.batchMatchColumn.value !== 'string' || userOptions.batchMatchColumn.value.trim().length === 0)
+  ) {
+    errors.push({
+      key: 'batchMatchColumn',
+      message: 'You must provide a Batch Match Column when a query uses the "?:list" placeholder'
+    });
   }
 
-  Logger.trace({ lookupResults }, 'lookup results');
-
-  cb(null, lookupResults);
+  cb(null, errors);
 }
 
-async function onMessage(message, options, cb) {
-  Logger.trace({ message }, 'Received message');
-
-  if (message.action === 'CHECK_QUERY_STATUS') {
-    try {
-      const queryExecutionId = message.queryExecutionId;
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
 
-      if (!queryExecutionId) {
-        return cb({
-          error: 'Missing queryExecutionId in message'
-        });
-      }
+/**
+ * Creates the HTTP handler used by the AWS SDK clients when a proxy, custom CA bundle or TLS verification setting is
+ * configured.  Returns null if the SDK's default handler can be used.
+ * @param options
+ * @returns {NodeHttpHandler|null}
+ */
+function createRequestHandler(options) {
+  const hasProxy = isNonEmptyString(options.proxyUrl);
+  const hasCaBundle = isNonEmptyString(options.caBundlePath);
+  const rejectUnauthorized = options.rejectUnauthorized !== false;
 
-      Logger.trace({ queryExecutionId }, 'Checking query status');
+  if (!hasProxy && !hasCaBundle && rejectUnauthorized) {
+    return null;
+  }
 
-      // Initialize Athena client if needed - check if we need a new client first
-      if (optionsHaveChanged(options) || athenaClient === null) {
-        athenaClient = initializeAthenaClient(options);
-      }
+  const agentOptions = {
+    keepAlive: true,
+    rejectUnauthorized
+  };
 
-      // Process and cache attributes for result formatting
-      setCachedDisplayAttributes(options);
+  if (hasCaBundle) {
+    agentOptions.ca = fs.readFileSync(options.caBundlePath.trim());
+  }
 
-      // Check query status and get results - reuse helper function
-      const queryResult = await checkQueryStatusAndGetResults(queryExecutionId, options);
+  // The proxy agent tunnels both http and https requests through the proxy using CONNECT
+  const agent = hasProxy ? new HttpsProxyAgent(options.proxyUrl.trim(), agentOptions) : new https.Agent(agentOptions);
 
-      // Format results using the same logic as doLookup - reuse helper function
-      const responseData = formatQueryResult(queryResult, options);
+  return new NodeHttpHandler({
+    httpAgent: hasProxy ? agent : undefined,
+    httpsAgent: agent
+  });
+}
 
-      Logger.trace({ responseData }, 'Returning query status check results');
-      cb(null, responseData);
-    } catch (error) {
-      Logger.error({ error }, 'Error checking query status');
-      cb(errorToPojo(error, 'Error checking Athena query status'));
-    }
-  } else {
-    cb({ error: `Unknown action: ${message.action}` });
-  }
+function getAuthenticationMethod(options) {
+  return get(options, 'authenticationMethod.value', AUTHENTICATION_METHOD.ACCESS_KEY);
 }
 
-function validateOptions(userOptions, cb) {
-  let errors = [];
+function hasAccessKey(options) {
+  return (
+    typeof options.accessKeyId === 'string' &&
+    options.accessKeyId.length > 0 &&
+    typeof options.secretAccessKey === 'string' &&
+    options.secretAccessKey.length > 0
+  );
+}
 
-  // Validate required accessKeyId field
-  if (
-    typeof userOptions.accessKeyId.value !== 'string' ||
-    (typeof userOptions.accessKeyId.value === 'string' && userOptions.accessKeyId.value.trim().length === 0)
-  ) {
-    errors.push({
-      key: 'accessKeyId',
-      message: 'You must provide a valid AWS Access Key ID'
-    });
+/**
+ * Returns the credentials for the Athena client based on the "Authentication Method" option.  Temporary
+ * credentials from an assumed role or the default provider chain are returned as a provider function which the
+ * AWS SDK calls again to refresh the credentials before they expire.
+ * @param options
+ * @returns {Object|Function}
+ */
+function getCredentials(options, requestHandler) {
+  const authenticationMethod = getAuthenticationMethod(options);
+  // STS and SSO requests made for the credentials go through the same proxy and TLS settings as Athena
+  const clientConfig = requestHandler ? { requestHandler } : {};
+
+  if (authenticationMethod === AUTHENTICATION_METHOD.DEFAULT_CHAIN) {
+    // Environment variables, shared config files, web identity tokens and instance/container metadata
+    return fromNodeProviderChain({ clientConfig });
   }
 
-  // Validate required secretAccessKey field
-  if (
-    typeof userOptions.secretAccessKey.value !== 'string' ||
-    (typeof userOptions.secretAccessKey.value === 'string' && userOptions.secretAccessKey.value.trim().length === 0)
-  ) {
-    errors.push({
-      key: 'secretAccessKey',
-      message: 'You must provide a valid AWS Secret Access Key'
-    });
-  }
+  const accessKeyCredentials = hasAccessKey(options)
+    ? {
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey
+      }
+    : null;
+
+  if (authenticationMethod === AUTHENTICATION_METHOD.ASSUME_ROLE) {
+    const params = {
+      RoleArn: options.roleArn.trim(),
+      RoleSessionName:
+        typeof options.roleSessionName === 'string' && options.roleSessionName.trim().length > 0
+          ? options.roleSessionName.trim()
+          : DEFAULT_ROLE_SESSION_NAME
+    };
 
-  // Validate required query field
-  if (
-    typeof userOptions.query.value !== 'string' ||
-    (typeof userOptions.query.value === 'string' && userOptions.query.value.length === 0)
-  ) {
-    errors.push({
-      key: 'query',
-      message: 'You must provide a valid SQL Query'
+    if (typeof options.roleExternalId === 'string' && options.roleExternalId.trim().length > 0) {
+      params.ExternalId = options.roleExternalId.trim();
+    }
+
+    // The role is assumed using the access key if one is provided, otherwise using the default provider chain
+    return fromTemporaryCredentials({
+      params,
+      masterCredentials: accessKeyCredentials || fromNodeProviderChain({ clientConfig }),
+      clientConfig: {
+        region: options.region.value,
+        ...clientConfig
+      }
     });
   }
 
-  cb(null, errors);
+  return accessKeyCredentials;
 }
 
 function initializeAthenaClient(options) {
@@ -840,14 +4061,33 @@ function initializeAthenaClient(options) {
     region: options.region.value
   };
 
-  if (options.accessKeyId.length > 0 || options.secretAccessKey.length > 0) {
-    clientOptions.credentials = {
-      accessKeyId: options.accessKeyId,
-      secretAccessKey: options.secretAccessKey
-    };
+  // A custom endpoint is used for VPC interface endpoints or Athena-compatible services
+  if (isNonEmptyString(options.endpoint)) {
+    clientOptions.endpoint = options.endpoint.trim();
   }
 
-  Logger.trace({ clientOptions }, 'Creating new Athena client');
+  const requestHandler = createRequestHandler(options);
+  if (requestHandler) {
+    clientOptions.requestHandler = requestHandler;
+  }
+
+  const credentials = getCredentials(options, requestHandler);
+  if (credentials) {
+    clientOptions.credentials = credentials;
+  }
+
+  Logger.trace(
+    {
+      region: clientOptions.region,
+      endpoint: clientOptions.endpoint,
+      authenticationMethod: getAuthenticationMethod(options),
+      roleArn: options.roleArn,
+      usingProxy: isNonEmptyString(options.proxyUrl),
+      caBundlePath: options.caBundlePath,
+      rejectUnauthorized: options.rejectUnauthorized !== false
+    },
+    'Creating new Athena client'
+  );
   athenaClient = new AthenaClient(clientOptions);
   return athenaClient;
 }
@@ -860,92 +4100,58 @@ async function checkQueryStatusAndGetResults(queryExecutionId, options) {
 
   Logger.trace({ queryStatus, queryExecutionId }, 'Retrieved query status');
 
+  if (
+    queryStatus === QUERY_STATUS.SUCCEEDED ||
+    queryStatus === QUERY_STATUS.FAILED ||
+    queryStatus === QUERY_STATUS.CANCELLED
+  ) {
+    // The query is no longer running so record what it scanned in the daily usage
+    recordQueryFinished({ QueryExecutionId: queryExecutionId, ...statusResult.QueryExecution });
+  }
+
   if (queryStatus === QUERY_STATUS.SUCCEEDED) {
     // Query completed successfully, get results
-    const executionStats = statusResult.QueryExecution.Statistics || {};
-    const queryExecution = statusResult.QueryExecution || {};
-
-    // Calculate runtime information
-    const submissionTime = queryExecution.Status?.SubmissionDateTime;
-    const completionTime = queryExecution.Status?.CompletionDateTime;
-    let runtimeMs = null;
-    let runtimeSeconds = null;
-
-    if (submissionTime && completionTime) {
-      runtimeMs = new Date(completionTime) - new Date(submissionTime);
-      runtimeSeconds = (runtimeMs / 1000).toFixed(3);
-    }
-
-    const athenaRuntimeMs = executionStats.EngineExecutionTimeInMillis || null;
-    const athenaRuntimeSeconds = athenaRuntimeMs ? (athenaRuntimeMs / 1000).toFixed(3) : null;
-
-    const queryStats = {
-      runtimeMs: athenaRuntimeMs || runtimeMs,
-      runtimeSeconds: athenaRuntimeSeconds || runtimeSeconds,
-      dataScannedBytes: executionStats.DataScannedInBytes || null,
-      dataProcessedBytes: executionStats.DataProcessedInBytes || null,
-      queryQueueTimeMs: executionStats.QueryQueueTimeInMillis || null,
-      queryPlanningTimeMs: executionStats.QueryPlanningTimeInMillis || null,
-      serviceProcessingTimeMs: executionStats.ServiceProcessingTimeInMillis || null
-    };
+    const queryStats = getCompletedQueryStats(statusResult.QueryExecution);
 
     // Get query results
-    const resultsCommand = new GetQueryResultsCommand({
-      QueryExecutionId: queryExecutionId,
-      MaxResults: options.limit || 100
-    });
-    const resultsResponse = await athenaClient.send(resultsCommand);
-
-    // Convert Athena results to JSON format
-    const rows = resultsResponse.ResultSet.Rows;
-    let results = [];
-
-    if (rows && rows.length > 0) {
-      // First row contains column headers
-      const headers = rows[0].Data.map((col) => col.VarCharValue);
-
-      // Convert remaining rows to objects
-      results = rows.slice(1).map((row) => {
-        const obj = {};
-        row.Data.forEach((col, index) => {
-          obj[headers[index]] = col.VarCharValue;
-        });
-        return obj;
-      });
-    }
+    const { results, nextToken } = await getQueryResults(queryExecutionId, options);
 
     return {
       results: results,
       complete: true,
       queryExecutionId: queryExecutionId,
-      executionStats: queryStats
+      executionStats: queryStats,
+      nextToken: nextToken
     };
   } else if (queryStatus === QUERY_STATUS.RUNNING || queryStatus === QUERY_STATUS.QUEUED) {
-    // Query still running
-    const partialStats = statusResult.QueryExecution?.Statistics || {};
-    const queryExecution = statusResult.QueryExecution || {};
-    const submissionTime = queryExecution.Status?.SubmissionDateTime;
-    
-    // Use helper function to calculate elapsed time
-    const { elapsedMs, elapsedSeconds } = calculateElapsedTime(submissionTime);
-
-    const incompleteStats = {
-      runtimeMs: null,
-      runtimeSeconds: null,
-      elapsedMs: elapsedMs,
-      elapsedSeconds: elapsedSeconds,
-      dataScannedBytes: partialStats.DataScannedInBytes || null,
-      status: queryStatus
-    };
+    // Stop runaway queries as soon as they scan more than the configured limit
+    if (exceedsScanLimit(statusResult.QueryExecution, options)) {
+      return abortQueryExecution({ QueryExecutionId: queryExecutionId, ...statusResult.QueryExecution }, options);
+    }
 
+    // Query still running
     return {
       results: [],
       complete: false,
       queryExecutionId: queryExecutionId,
-      executionStats: incompleteStats
+      executionStats: getRunningQueryStats(statusResult.QueryExecution, queryStatus)
     };
-  } else if (queryStatus === QUERY_STATUS.FAILED || queryStatus === QUERY_STATUS.CANCELLED) {
-    // Query failed or was cancelled
+  } else if (queryStatus === QUERY_STATUS.CANCELLED) {
+    // Query was cancelled, return the partial stats so the block can show what the query scanned
+    return getCancelledQueryResult({ QueryExecutionId: queryExecutionId, ...statusResult.QueryExecution });
+  } else if (queryStatus === QUERY_STATUS.FAILED) {
+    // A query that failed because its prepared statement was deleted is run again as a new query execution with the
+    // same query and execution parameters
+    const { Query: queryString, WorkGroup: workGroup, ExecutionParameters } = statusResult.QueryExecution;
+    if (await recreateMissingPreparedStatement(queryString, workGroup)) {
+      const queryParams = createQueryExecutionParams(queryString, options);
+      if (Array.isArray(ExecutionParameters) && ExecutionParameters.length > 0) {
+        queryParams.ExecutionParameters = ExecutionParameters;
+      }
+      return executeAthenaQuery(athenaClient, queryParams, options, false);
+    }
+
+    // Query failed
     const errorReason = statusResult.QueryExecution.Status.StateChangeReason || 'Unknown error';
     throw new Error(`Query ${queryStatus.toLowerCase()}: ${errorReason}`);
   } else {
@@ -954,12 +4160,197 @@ async function checkQueryStatusAndGetResults(queryExecutionId, options) {
   }
 }
 
-function formatQueryResult(queryResult, options) {
+/**
+ * Stops a running query and returns its final state.  Athena moves the query to the CANCELLED state
+ * asynchronously so the status is checked a few times before giving up and returning the current state.
+ * @param queryExecutionId
+ * @param options
+ * @returns {Promise<{results, complete, cancelled, queryExecutionId, executionStats}>}
+ */
+async function stopQueryExecution(queryExecutionId, options) {
+  const stopCommand = new StopQueryExecutionCommand({ QueryExecutionId: queryExecutionId });
+  await athenaClient.send(stopCommand);
+
+  Logger.trace({ queryExecutionId }, 'Requested Athena query stop');
+
+  let queryResult = await checkQueryStatusAndGetResults(queryExecutionId, options);
+  for (let attempts = 1; !queryResult.complete && attempts < STOP_QUERY_STATUS_ATTEMPTS; attempts++) {
+    await new Promise((resolve) => setTimeout(resolve, STOP_QUERY_WAIT_INTERVAL));
+    queryResult = await checkQueryStatusAndGetResults(queryExecutionId, options);
+  }
+
+  return queryResult;
+}
+
+/**
+ * Re-fetches the results of a completed query for the EXPORT_RESULTS action.  Results are fetched up to the
+ * "Query Result Limit", or up to the "Maximum Export Rows" when `includeAllResults` is set, and only the rows that
+ * match the block's filter and selected timeline bucket are exported.  The S3 location of the full result file is
+ * returned as well so large results can be downloaded directly.
+ * @param queryExecutionId
+ * @param exportOptions {{format: string, filterValue: string, timelineFilter: {start: number, end: number}|null, includeAllResults: boolean, batched: boolean, batchMatchValues: Array<string>}}
+ * @param options
+ * @returns {Promise<{format, fileName, contentType, content, rowCount, truncated, outputLocation}>}
+ */
+async function exportQueryResults(queryExecutionId, exportOptions, options) {
+  const { format, filterValue, timelineFilter, includeAllResults, batched, batchMatchValues } = exportOptions;
+
+  const statusResult = await athenaClient.send(new GetQueryExecutionCommand({ QueryExecutionId: queryExecutionId }));
+  const queryStatus = get(statusResult, 'QueryExecution.Status.State');
+  if (queryStatus !== QUERY_STATUS.SUCCEEDED) {
+    throw new Error(`Only completed queries can be exported but the query status is ${queryStatus}`);
+  }
+
+  const limit = includeAllResults ? getNumberOption(options.maxExportRows, DEFAULT_MAX_EXPORT_ROWS) : options.limit;
+  const { results, nextToken } = await getQueryResults(queryExecutionId, { ...options, limit });
+
+  // Batched queries return rows for every entity in the batch so only keep the rows for this entity
+  let exportedResults = batched ? getBatchResultsForEntity(results, batchMatchValues, options) : results;
+
+  // Apply the same filter as the block which matches against the displayed detail attributes
+  const normalizedFilterValue = typeof filterValue === 'string' ? filterValue.toLowerCase().trim() : '';
+  if (normalizedFilterValue.length > 0 && cachedDetailAttributes && cachedDetailAttributes.length > 0) {
+    exportedResults = exportedResults.filter((result) => {
+      const document = getDetailDocument(result, cachedDetailAttributes);
+      return document.length > 0 && getDocumentAsString(document).includes(normalizedFilterValue);
+    });
+  }
+
+  // Only keep the rows in the time range of the timeline bucket selected in the block
+  if (timelineFilter && cachedTimelineAttribute) {
+    exportedResults = exportedResults.filter((result) => {
+      const timestamp = getTimelineTimestamp(result, cachedTimelineAttribute);
+      return timestamp !== null && timestamp >= timelineFilter.start && timestamp < timelineFilter.end;
+    });
+  }
+
+  const isCsv = format === EXPORT_FORMAT.CSV;
+
+  return {
+    format,
+    fileName: `athena-${queryExecutionId}.${isCsv ? 'csv' : 'ndjson'}`,
+    contentType: isCsv ? 'text/csv' : 'application/x-ndjson',
+    content: isCsv ? toCsv(exportedResults) : toNdjson(exportedResults),
+    rowCount: exportedResults.length,
+    // Athena has more rows than were exported
+    truncated: !!nextToken,
+    outputLocation: get(statusResult, 'QueryExecution.ResultConfiguration.OutputLocation', null)
+  };
+}
+
+/**
+ * Converts result rows to CSV with a header row.  The columns are the union of the keys of every row and nested
+ * values are written as JSON.
+ * @param results
+ * @returns {string}
+ */
+function toCsv(results) {
+  const columns = [...new Set(results.flatMap((result) => Object.keys(result)))];
+  const toCsvField = (value) => {
+    if (value === undefined || value === null) {
+      return '';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...results.map((result) => columns.map((column) => result[column]))]
+    .map((row) => row.map(toCsvField).join(','))
+    .join('\r\n');
+}
+
+function toNdjson(results) {
+  return results.map((result) => JSON.stringify(result)).join('\n');
+}
+
+/**
+ * Replaces the `{name}` variables in a URL template with the URL encoded values.  Returns null if the template is
+ * empty so the link is not shown.
+ * @param template
+ * @param values
+ * @returns {string|null}
+ */
+function fillUrlTemplate(template, values) {
+  if (!isNonEmptyString(template)) {
+    return null;
+  }
+  return template
+    .trim()
+    .replace(/\{(\w+)\}/g, (match, name) =>
+      values[name] === undefined || values[name] === null ? match : encodeURIComponent(values[name])
+    );
+}
+
+/**
+ * Returns the links to a query execution in the Athena console and to its result file in the S3 console, built
+ * from the "Athena Console URL Template" and "S3 Console URL Template" options.
+ * @param queryExecutionId
+ * @param executionStats
+ * @param options
+ * @returns {{athenaConsoleUrl: string|null, s3OutputUrl: string|null}|null}
+ */
+function getQueryLinks(queryExecutionId, executionStats, options) {
+  if (!queryExecutionId) {
+    return null;
+  }
+
+  const region = options.region.value;
+  const athenaConsoleUrl = fillUrlTemplate(options.athenaConsoleUrlTemplate, {
+    region,
+    workGroup: getWorkGroup(options),
+    queryExecutionId
+  });
+
+  let s3OutputUrl = null;
+  const s3Location = parseS3Uri(get(executionStats, 'outputLocation'));
+  if (s3Location) {
+    s3OutputUrl = fillUrlTemplate(options.s3ConsoleUrlTemplate, { region, ...s3Location });
+  }
+
+  return {
+    athenaConsoleUrl,
+    s3OutputUrl
+  };
+}
+
+function parseS3Uri(uri) {
+  const match = typeof uri === 'string' ? uri.match(/^s3:\/\/([^/]+)\/(.+)$/) : null;
+  return match ? { bucket: match[1], key: match[2] } : null;
+}
+
+function formatQueryResult(queryResult, options, displayAttributes = getCachedDisplayAttributes()) {
   // Format results using the same logic as doLookup
   let summary;
   let details;
 
-  if (!queryResult.complete) {
+  if (queryResult.budgetExhausted) {
+    const { today, dailyScanBudgetBytes } = getUsageStats(options);
+    summary = ['Daily scan budget exhausted'];
+    details = {
+      showAsJson: false,
+      results: [],
+      complete: true,
+      budgetExhausted: true,
+      queryExecutionId: null,
+      executionStats: null,
+      usage: {
+        bytesScanned: today.bytesScanned,
+        scannedGigabytes: formatGigabytes(today.bytesScanned),
+        budgetGigabytes: formatGigabytes(dailyScanBudgetBytes)
+      }
+    };
+  } else if (queryResult.cancelled) {
+    summary = [queryResult.aborted ? 'Query Aborted' : 'Query Cancelled'];
+    details = {
+      showAsJson: false,
+      results: [],
+      complete: true,
+      cancelled: true,
+      aborted: queryResult.aborted === true,
+      queryExecutionId: queryResult.queryExecutionId,
+      executionStats: queryResult.executionStats
+    };
+  } else if (!queryResult.complete) {
     // Query still running - same logic as doLookup
     summary = ['Query Running'];
 
@@ -975,9 +4366,21 @@ function formatQueryResult(queryResult, options) {
       if (queryResult.executionStats.dataScannedBytes) {
         const scannedMB = (queryResult.executionStats.dataScannedBytes / 1024 / 1024).toFixed(2);
         statusAttributes.push({ key: 'Data Scanned', value: `${scannedMB} MB` });
+
+        const estimatedCost = estimateQueryCost(queryResult.executionStats.dataScannedBytes, options);
+        statusAttributes.push({ key: 'Estimated Cost', value: `$${estimatedCost.toFixed(4)}` });
       }
     }
 
+    // Links to the running query so it can be followed in the Athena console and its results found in S3
+    const links = getQueryLinks(queryResult.queryExecutionId, queryResult.executionStats, options);
+    if (links && links.athenaConsoleUrl) {
+      statusAttributes.push({ key: 'Athena Console', value: 'View query', link: links.athenaConsoleUrl });
+    }
+    if (links && links.s3OutputUrl) {
+      statusAttributes.push({ key: 'S3 Output', value: 'View query results', link: links.s3OutputUrl });
+    }
+
     details = {
       showAsJson: false,
       results: [
@@ -994,7 +4397,7 @@ function formatQueryResult(queryResult, options) {
     // Query completed - reuse existing formatting functions
     if (!Array.isArray(queryResult.results) || queryResult.results.length === 0) {
       // No results
-      summary = ['No results'];
+      summary = [isTruncatedBatchResult(queryResult) ? 'No results in the first batch rows' : 'No results'];
       details = {
         showAsJson: false,
         results: [],
@@ -1004,17 +4407,45 @@ function formatQueryResult(queryResult, options) {
       };
     } else {
       // Has results - reuse existing functions
-      summary = getSummaryTags(queryResult.results, options);
+      summary = getSummaryTags(queryResult.results, options, displayAttributes);
       details = getDetails(
         queryResult.results,
         options,
         queryResult.complete,
         queryResult.queryExecutionId,
-        queryResult.executionStats
+        queryResult.executionStats,
+        displayAttributes
       );
     }
   }
 
+  // Estimated cost of the data scanned so far, shown next to the scanned bytes
+  if (details.executionStats) {
+    const estimatedCost = estimateQueryCost(details.executionStats.dataScannedBytes, options);
+    details.executionStats = {
+      ...details.executionStats,
+      estimatedCost: estimatedCost === null ? null : estimatedCost.toFixed(4)
+    };
+  }
+
+  // Token used by the block to load the next page of results
+  details.nextToken = queryResult.nextToken || null;
+
+  // Batched queries are shared by every entity in the batch so the block must ask for its entity's rows only
+  details.batched = queryResult.batched === true;
+  // Values of the "Batch Match Column" that belong to the entity, including the transformed `?:list` values
+  details.batchMatchValues = queryResult.batchMatchValues || null;
+  // Entities that share the batched query execution
+  details.batchEntityValues = queryResult.batchEntityValues || null;
+  // Lets the block warn that the batch reached the "Query Result Limit" before every row of the entity was fetched
+  details.truncated = isTruncatedBatchResult(queryResult);
+
+  // Lets the block re-run a query that uses the lookback window placeholders with a wider window
+  details.lookbackWindow = queryResult.lookbackWindow || null;
+
+  // Links to the query in the Athena console and to its result file in S3
+  details.links = getQueryLinks(details.queryExecutionId, details.executionStats, options);
+
   return {
     summary: summary,
     details: details
@@ -1045,20 +4476,159 @@ function setCachedDisplayAttributes(options) {
   // Check and update summary attributes cache
   if (lastSummaryAttributesOption !== options.summaryAttributes) {
     if (options.summaryAttributes && typeof options.summaryAttributes === 'string' && options.summaryAttributes.trim().length > 0) {
-      cachedSummaryAttributes = processAttributeOption(options.summaryAttributes);
+      cachedSummaryAttributes = processSummaryAttributeOption(options.summaryAttributes);
     } else {
       cachedSummaryAttributes = null;
     }
     lastSummaryAttributesOption = options.summaryAttributes;
   }
 
+  // Check and update timeline attribute cache
+  if (lastTimelineAttributeOption !== options.timelineAttribute) {
+    try {
+      cachedTimelineAttribute = parseTimelineAttributeOption(options.timelineAttribute);
+    } catch (parseError) {
+      // Invalid timeline attributes are reported by validateOptions so the timeline is just not shown
+      Logger.trace({ parseError }, 'Invalid timeline attribute, the timeline will not be shown');
+      cachedTimelineAttribute = null;
+    }
+    lastTimelineAttributeOption = options.timelineAttribute;
+  }
+
+  return getCachedDisplayAttributes();
+}
+
+function getCachedDisplayAttributes() {
   return {
     documentTitleAttributes: cachedDocumentTitleAttributes,
     detailAttributes: cachedDetailAttributes,
-    summaryAttributes: cachedSummaryAttributes
+    summaryAttributes: cachedSummaryAttributes,
+    timelineAttribute: cachedTimelineAttribute
+  };
+}
+
+/**
+ * Parses the "Timeline Attribute" option which is the attribute holding the time of each result, optionally
+ * preceded by one of the date types (e.g., `date-seconds:event_epoch`).  The type defaults to `date-iso`.
+ * @param timelineAttributeOption
+ * @returns {{parser, attribute}|null} null if the option is not set
+ */
+function parseTimelineAttributeOption(timelineAttributeOption) {
+  if (!isNonEmptyString(timelineAttributeOption)) {
+    return null;
+  }
+
+  const tokens = splitOutsideParentheses(timelineAttributeOption.trim(), ':').map((token) => token.trim());
+  if (tokens.length > 2 || tokens.some((token) => token.length === 0)) {
+    throw new Error(`Expected "<attribute>" or "<date type>:<attribute>" but found "${timelineAttributeOption}"`);
+  }
+
+  const [parser, attribute] = tokens.length === 2 ? [tokens[0].toLowerCase(), tokens[1]] : ['date-iso', tokens[0]];
+  if (!DATE_PARSERS.includes(parser)) {
+    throw new Error(`Unknown date type "${parser}", supported types are ${DATE_PARSERS.join(', ')}`);
+  }
+
+  return { parser, attribute };
+}
+
+/**
+ * Returns the time of the result in milliseconds using the timeline attribute
+ * @param result
+ * @param timelineAttribute
+ * @returns {number|null} null if the result has no valid time
+ */
+function getTimelineTimestamp(result, timelineAttribute) {
+  const value = get(result, timelineAttribute.attribute);
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  try {
+    const date = getAttributeDateTime(value, timelineAttribute.parser);
+    return date.isValid ? date.toMillis() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the timeline histogram of the documents.  When more results are loaded the timestamps of the results
+ * already shown are included so the block can replace its timeline, and the bucket size already shown is kept
+ * unless the combined time range no longer fits in `TIMELINE_MAX_BUCKETS` buckets.
+ * @param documents
+ * @param loadedTimeline `{bucketSizeMs, timestamps, missingCount}` of the results already shown or null
+ * @returns {{bucketSizeMs, buckets, missingCount}|null} null if no document has a valid time
+ */
+function getTimeline(documents, loadedTimeline = null) {
+  let timestamps = documents.map((document) => document.timestamp).filter((timestamp) => timestamp !== null);
+  // Results without a valid time are not shown on the timeline
+  let missingCount = documents.length - timestamps.length;
+  if (loadedTimeline) {
+    timestamps = timestamps.concat(loadedTimeline.timestamps);
+    missingCount += loadedTimeline.missingCount;
+  }
+  if (timestamps.length === 0) {
+    return null;
+  }
+
+  const minTimestamp = timestamps.reduce((min, timestamp) => Math.min(min, timestamp));
+  const maxTimestamp = timestamps.reduce((max, timestamp) => Math.max(max, timestamp));
+  const size = getTimelineBucketSize(minTimestamp, maxTimestamp, loadedTimeline ? loadedTimeline.bucketSizeMs : null);
+
+  const firstBucketStart = Math.floor(minTimestamp / size) * size;
+  const buckets = [];
+  for (let start = firstBucketStart; start <= maxTimestamp; start += size) {
+    buckets.push({
+      start,
+      end: start + size,
+      // Buckets are aligned to UTC so they are labelled in UTC, buckets of a day or more with the date only
+      label: `${DateTime.fromMillis(start, { zone: 'utc' }).toFormat(
+        size >= 24 * 60 * 60 * 1000 ? 'yyyy-MM-dd' : 'yyyy-MM-dd HH:mm'
+      )} UTC`,
+      count: 0
+    });
+  }
+  timestamps.forEach((timestamp) => {
+    buckets[Math.floor((timestamp - firstBucketStart) / size)].count++;
+  });
+
+  return {
+    bucketSizeMs: size,
+    buckets,
+    missingCount
   };
 }
 
+/**
+ * Returns the bucket size of a timeline from the first to the last timestamp.  The preferred size is used if the
+ * timeline fits in `TIMELINE_MAX_BUCKETS` buckets, otherwise the smallest size that fits the timeline in about
+ * `TIMELINE_TARGET_BUCKETS` buckets.  Time ranges too long for the largest size use a multiple of it.
+ * @param minTimestamp
+ * @param maxTimestamp
+ * @param preferredBucketSizeMs
+ * @returns {number}
+ */
+function getTimelineBucketSize(minTimestamp, maxTimestamp, preferredBucketSizeMs = null) {
+  const getBucketCount = (size) => Math.floor(maxTimestamp / size) - Math.floor(minTimestamp / size) + 1;
+  if (preferredBucketSizeMs && getBucketCount(preferredBucketSizeMs) <= TIMELINE_MAX_BUCKETS) {
+    return preferredBucketSizeMs;
+  }
+
+  const range = maxTimestamp - minTimestamp;
+  const size = TIMELINE_BUCKET_SIZES_MS.find((bucketSize) => range / bucketSize < TIMELINE_TARGET_BUCKETS);
+  if (size) {
+    return size;
+  }
+
+  const largestSize = TIMELINE_BUCKET_SIZES_MS[TIMELINE_BUCKET_SIZES_MS.length - 1];
+  return largestSize * Math.ceil(range / (largestSize * TIMELINE_TARGET_BUCKETS));
+}
+
+function isTimelineBucketSize(size) {
+  const largestSize = TIMELINE_BUCKET_SIZES_MS[TIMELINE_BUCKET_SIZES_MS.length - 1];
+  return TIMELINE_BUCKET_SIZES_MS.includes(size) || (Number.isInteger(size) && size > 0 && size % largestSize === 0);
+}
+
 function calculateElapsedTime(submissionTime) {
   if (!submissionTime) {
     return { elapsedMs: null, elapsedSeconds: null };